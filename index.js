@@ -32,6 +32,7 @@
 
 import osjs from 'osjs';
 import {h, app} from 'hyperapp';
+import {Zip, ZipDeflate, ZipPassThrough, unzipSync, gunzipSync} from 'fflate';
 
 import './index.scss';
 import * as translations from './locales.js';
@@ -45,17 +46,171 @@ import {
   MenubarItem,
   Statusbar,
   Panes,
+  Progressbar,
+  SelectField,
+  ToggleField,
+  Element,
+  IconViewEntry,
   listView
 } from '@osjs/gui';
 
+/**
+ * Default templates for new files, labels are locale keys
+ */
+const defaultTemplates = [{
+  label: 'LBL_TEMPLATE_MARKDOWN',
+  filename: 'Note.md',
+  content: '# Note\n'
+}, {
+  label: 'LBL_TEMPLATE_JSON',
+  filename: 'data.json',
+  content: '{}\n'
+}, {
+  label: 'LBL_TEMPLATE_HTML',
+  filename: 'index.html',
+  content: [
+    '<!DOCTYPE html>',
+    '<html>',
+    '  <head>',
+    '    <meta charset="utf-8" />',
+    '    <title></title>',
+    '  </head>',
+    '  <body>',
+    '  </body>',
+    '</html>',
+    ''
+  ].join('\n')
+}];
+
 /**
  * Creates default settings
  */
-const createDefaultSettings =  () => ({
+const createDefaultSettings =  (core) => ({
   showHiddenFiles: false,
-  showDate: false
+  showDate: false,
+  showPreview: false,
+  openNewFiles: false,
+  thumbnailMountpoints: {},
+  thumbnailMaxSize: core.config('filemanager.thumbnails.maxSize', 5 * 1024 * 1024),
+  viewMode: 'list',
+  sortBy: 'filename',
+  sortAsc: true,
+  sortFoldersFirst: true,
+  sortNatural: true,
+  dualPane: false,
+  favorites: core.config('filemanager.bookmarks', [])
+    .map(bookmark => typeof bookmark === 'string' ? {path: bookmark} : bookmark),
+  recentDirectories: [],
+  recentDestinations: [],
+  recentFiles: []
 });
 
+/**
+ * Default window keybindings
+ */
+const defaultKeybindings = {
+  open: 'enter',
+  delete: 'delete',
+  rename: 'f2',
+  copy: 'ctrl+c',
+  cut: 'ctrl+x',
+  paste: 'ctrl+v',
+  selectAll: 'ctrl+a',
+  parent: ['backspace', 'alt+arrowup'],
+  back: 'alt+arrowleft',
+  forward: 'alt+arrowright',
+  refresh: 'f5',
+  mkdir: 'ctrl+shift+n',
+  focusPath: 'ctrl+l',
+  newTab: 'ctrl+t',
+  closeTab: 'ctrl+w',
+  undo: 'ctrl+z',
+  redo: ['ctrl+y', 'ctrl+shift+z'],
+  deletePermanently: 'shift+delete',
+  properties: 'alt+enter',
+  duplicate: 'ctrl+d'
+};
+
+/**
+ * Events emitted by keybindings
+ */
+const keybindingEvents = {
+  open: {event: 'filemanager:menu:open', selection: true},
+  delete: {event: 'filemanager:menu:delete', selection: true},
+  rename: {event: 'filemanager:menu:rename', selection: true},
+  copy: {event: 'filemanager:menu:copy', selection: true},
+  cut: {event: 'filemanager:menu:cut', selection: true},
+  paste: {event: 'filemanager:menu:paste'},
+  selectAll: {event: 'filemanager:menu:selectAll'},
+  parent: {event: 'filemanager:menu:parent'},
+  back: {event: 'filemanager:menu:back'},
+  forward: {event: 'filemanager:menu:forward'},
+  refresh: {event: 'filemanager:menu:refresh'},
+  mkdir: {event: 'filemanager:menu:mkdir'},
+  focusPath: {event: 'filemanager:menu:focusPath'},
+  newTab: {event: 'filemanager:tab:open'},
+  closeTab: {event: 'filemanager:tab:close'},
+  undo: {event: 'filemanager:menu:undo'},
+  redo: {event: 'filemanager:menu:redo'},
+  deletePermanently: {event: 'filemanager:menu:deletePermanently', selection: true},
+  properties: {event: 'filemanager:menu:properties', selection: true},
+  duplicate: {event: 'filemanager:menu:duplicate', selection: true}
+};
+
+/**
+ * Creates keybindings with user configuration
+ */
+const createKeybindings = core => Object.assign(
+  {},
+  defaultKeybindings,
+  core.config('filemanager.keybindings', {})
+);
+
+/**
+ * Gets a list of shortcuts from a keybinding value
+ */
+const getShortcuts = value => (value instanceof Array ? value : [value])
+  .filter(shortcut => typeof shortcut === 'string' && shortcut.length > 0);
+
+/**
+ * Checks if a keyboard event matches given shortcut (ex. ctrl+shift+n)
+ */
+const matchesShortcut = (ev, shortcut) => {
+  const parts = shortcut.toLowerCase().split('+');
+  const key = parts.pop();
+  const eventKey = ev.key === ' ' ? 'space' : String(ev.key).toLowerCase();
+
+  return key === eventKey &&
+    parts.indexOf('ctrl') !== -1 === (ev.ctrlKey || ev.metaKey) &&
+    parts.indexOf('alt') !== -1 === ev.altKey &&
+    parts.indexOf('shift') !== -1 === ev.shiftKey;
+};
+
+/**
+ * Formats a shortcut for display
+ */
+const formatShortcut = shortcut => {
+  const names = {
+    arrowup: 'Up',
+    arrowdown: 'Down',
+    arrowleft: 'Left',
+    arrowright: 'Right',
+    delete: 'Del',
+    escape: 'Esc'
+  };
+
+  return shortcut
+    .split('+')
+    .map(part => names[part.toLowerCase()] || part.charAt(0).toUpperCase() + part.substr(1))
+    .join('+');
+};
+
+/**
+ * Checks if given element is an editable field
+ */
+const isEditableElement = el => !!el &&
+  (/^(input|textarea|select)$/i.test(el.tagName) || el.isContentEditable === true);
+
 /**
  * Creates the default window options
  */
@@ -79,8 +234,8 @@ const createWindowOptions = (core, proc, title) => ({
  */
 const divertDropAction = (browser, virtual) => (ev, data, files) => {
   if (files.length) {
-    browser(files);
-  } else if (data && data.path && data.filename) {
+    browser(files, ev);
+  } else if ([].concat(data || []).some(item => item && item.path && item.filename)) {
     virtual(data);
   }
 };
@@ -97,17 +252,90 @@ const usingPositiveButton = cb => (btn, value) => {
 /**
  * Triggers a browser upload
  */
-const triggerBrowserUpload = (cb) => {
+const triggerBrowserUpload = (cb, directory = false) => {
   const field = document.createElement('input');
   field.type = 'file';
+  field.multiple = true;
+  field.webkitdirectory = directory;
   field.onchange = () => {
     if (field.files.length > 0) {
-      cb(field.files);
+      cb(Array.from(field.files));
     }
   };
   field.click();
 };
 
+/**
+ * Gets the file system entries of a drop event (if it contains directories)
+ *
+ * NOTE: This has to be done while the event is dispatched
+ */
+const getDroppedEntries = ev => {
+  const items = ev && ev.dataTransfer && ev.dataTransfer.items
+    ? Array.from(ev.dataTransfer.items)
+    : [];
+
+  const entries = items
+    .filter(item => item.kind === 'file' && typeof item.webkitGetAsEntry === 'function')
+    .map(item => item.webkitGetAsEntry())
+    .filter(entry => !!entry);
+
+  return entries.some(entry => entry.isDirectory) ? entries : null;
+};
+
+/**
+ * Reads a tree of file system entries into a list of files and directories
+ * with paths relative to the drop
+ */
+const readDroppedEntries = async (entries) => {
+  const result = {files: [], directories: []};
+  const relative = entry => entry.fullPath.replace(/^\/+/, '');
+
+  const readAll = reader => new Promise((resolve, reject) => {
+    const list = [];
+    const read = () => reader.readEntries(found => {
+      if (found.length > 0) {
+        list.push(...found);
+        read();
+      } else {
+        resolve(list);
+      }
+    }, reject);
+
+    read();
+  });
+
+  const walk = async (entry) => {
+    if (entry.isDirectory) {
+      result.directories.push(relative(entry));
+
+      const children = await readAll(entry.createReader());
+      for (const child of children) {
+        await walk(child);
+      }
+    } else {
+      const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+      result.files.push({file, path: relative(entry)});
+    }
+  };
+
+  for (const entry of entries) {
+    await walk(entry);
+  }
+
+  return result;
+};
+
+/**
+ * Gets all parent directories of a list of relative paths
+ */
+const getRelativeDirectories = paths => paths
+  .reduce((result, path) => {
+    const parts = path.split('/').slice(0, -1);
+    return [...result, ...parts.map((part, index) => parts.slice(0, index + 1).join('/'))];
+  }, [])
+  .filter((path, index, list) => list.indexOf(path) === index);
+
 /**
  * Checks if given filename is a dotted
  */
@@ -125,6 +353,96 @@ const createInitialPaths = (core, proc) => {
   return {homePath, initialPath};
 };
 
+/**
+ * Checks if given path is the root of a mountpoint
+ */
+const isRootPath = path => /^[^:/]+:\/?$/.test(String(path));
+
+/**
+ * Splits a path into breadcrumb segments
+ */
+const getPathSegments = path => {
+  const match = String(path).match(/^([^:/]+:)\/?(.*)$/);
+  if (!match) {
+    return [];
+  }
+
+  const [, mount, rest] = match;
+
+  return rest
+    .split('/')
+    .filter(name => !!name)
+    .reduce((result, name) => [...result, {
+      label: name,
+      path: `${result[result.length - 1].path.replace(/\/$/, '')}/${name}`
+    }], [{label: mount, path: `${mount}/`}]);
+};
+
+/**
+ * Gets the last segment of a path
+ */
+const getBasename = path => {
+  const trimmed = String(path).replace(/\/+$/, '');
+  return trimmed.substr(trimmed.lastIndexOf('/') + 1) || trimmed;
+};
+
+/**
+ * Creates a numbered variant of a filename, ex. "name (2).ext"
+ */
+const getNumberedFilename = (filename, number) => {
+  const index = filename.lastIndexOf('.');
+  return index > 0
+    ? `${filename.substr(0, index)} (${number})${filename.substr(index)}`
+    : `${filename} (${number})`;
+};
+
+/**
+ * Gets the mountpoint root of a path
+ */
+const getRootPath = path => String(path).split(':')[0] + ':/';
+
+/**
+ * Gets the modification (or creation) timestamp of a file
+ */
+const getFileTime = file => {
+  const rawDate = file.stat ? (file.stat.mtime || file.stat.ctime) : undefined;
+  const time = rawDate ? new Date(rawDate).getTime() : 0;
+  return isNaN(time) ? 0 : time;
+};
+
+/**
+ * Creates a file comparator from sort settings
+ */
+const createFileSorter = ({sortBy, sortAsc, sortFoldersFirst, sortNatural}) => {
+  const collator = new Intl.Collator(undefined, {
+    numeric: sortNatural === true,
+    sensitivity: 'base'
+  });
+
+  const comparators = {
+    filename: (a, b) => collator.compare(a.filename, b.filename),
+    date: (a, b) => getFileTime(a) - getFileTime(b),
+    mime: (a, b) => collator.compare(a.mime || '', b.mime || ''),
+    size: (a, b) => (a.size || 0) - (b.size || 0)
+  };
+
+  const compare = comparators[sortBy] || comparators.filename;
+  const direction = sortAsc === false ? -1 : 1;
+
+  return (a, b) => {
+    const specialA = isSpecialFile(a.filename);
+    const specialB = isSpecialFile(b.filename);
+
+    if (specialA !== specialB) {
+      return specialA ? -1 : 1;
+    } else if (sortFoldersFirst && a.isDirectory !== b.isDirectory) {
+      return a.isDirectory ? -1 : 1;
+    }
+
+    return (compare(a, b) || comparators.filename(a, b)) * direction;
+  };
+};
+
 const getDirectoryCount = files =>
   files.filter(file => file.isDirectory).length;
 const getFileCount = files =>
@@ -132,14 +450,118 @@ const getFileCount = files =>
 const getTotalSize = files =>
   files.reduce((total, file) => total + (file.size || 0), 0);
 
+/**
+ * Creates a filename matcher from a substring or glob pattern
+ */
+const createFilenameMatcher = pattern => {
+  const query = String(pattern || '').trim().toLowerCase();
+
+  if (/[*?]/.test(query)) {
+    const expression = query
+      .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*/g, '.*')
+      .replace(/\?/g, '.');
+
+    const re = new RegExp(`^${expression}$`, 'i');
+    return filename => re.test(filename);
+  }
+
+  return filename => filename.toLowerCase().indexOf(query) !== -1;
+};
+
+/**
+ * Parses a human readable size (ex. 10M) into bytes
+ */
+const parseSize = value => {
+  const match = String(value || '').trim().match(/^(\d+(?:\.\d+)?)\s*([kmgt]?)b?$/i);
+  if (!match) {
+    return undefined;
+  }
+
+  const exponent = ['', 'k', 'm', 'g', 't'].indexOf(match[2].toLowerCase());
+  return Math.round(parseFloat(match[1]) * Math.pow(1024, exponent));
+};
+
+/**
+ * Parses a date field value into a timestamp
+ */
+const parseDate = (value, endOfDay) => {
+  const time = value ? new Date(value).getTime() : NaN;
+  if (isNaN(time)) {
+    return undefined;
+  }
+
+  return endOfDay ? time + (24 * 60 * 60 * 1000) - 1 : time;
+};
+
+/**
+ * Gets the parent directory of a path
+ */
+const getParentPath = path => {
+  const trimmed = String(path).replace(/\/+$/, '');
+  const parent = trimmed.substr(0, trimmed.lastIndexOf('/'));
+
+  return parent.match(/:$/) ? `${parent}/` : parent;
+};
+
+/**
+ * Creates a file matcher from a search query
+ */
+const createSearchMatcher = ({name, mime, minSize, maxSize, after, before}) => {
+  const tests = [];
+  const min = parseSize(minSize);
+  const max = parseSize(maxSize);
+  const from = parseDate(after);
+  const to = parseDate(before, true);
+
+  if (name && name.trim()) {
+    const matches = createFilenameMatcher(name);
+    tests.push(file => matches(file.filename));
+  }
+
+  if (mime && mime.trim()) {
+    const query = mime.trim().toLowerCase();
+    tests.push(file => !!file.mime && file.mime.toLowerCase().indexOf(query) !== -1);
+  }
+
+  if (typeof min === 'number' || typeof max === 'number') {
+    tests.push(file => !file.isDirectory &&
+      (typeof min !== 'number' || (file.size || 0) >= min) &&
+      (typeof max !== 'number' || (file.size || 0) <= max));
+  }
+
+  if (typeof from === 'number' || typeof to === 'number') {
+    tests.push(file => {
+      const time = getFileTime(file);
+      return time > 0 &&
+        (typeof from !== 'number' || time >= from) &&
+        (typeof to !== 'number' || time <= to);
+    });
+  }
+
+  return file => tests.every(test => test(file));
+};
+
+/**
+ * Filters a list of files by filename
+ */
+const filterFiles = (files, filter) => {
+  if (!filter || !filter.trim()) {
+    return files;
+  }
+
+  const matches = createFilenameMatcher(filter);
+  return files.filter(file => isSpecialFile(file.filename) || matches(file.filename));
+};
+
 /**
  * Formats directory status message
  */
-const formatStatusMessage = (core, files) => {
+const formatStatusMessage = (core) => {
   const {translatable} = core.make('osjs/locale');
   const __ = translatable(translations);
 
-  return (path, files) => {
+  const format = files => {
     const directoryCount = getDirectoryCount(files);
     const fileCount = getFileCount(files);
     const totalSize = getTotalSize(files);
@@ -154,22 +576,83 @@ const formatStatusMessage = (core, files) => {
       return __('LBL_DIR_OR_FILE_STATUS', fileCountMessage, totalSize);
     }
   };
+
+  // Special entries (ex. "..") are not counted as items
+  return (path, files, total) => {
+    const message = format(files);
+
+    return typeof total === 'number'
+      ? __('LBL_FILTERED_STATUS', files.filter(file => !isSpecialFile(file.filename)).length, total, message)
+      : message;
+  };
 };
 
 /**
  * Mount view rows Factory
  */
-const mountViewRowsFactory = (core) => {
+const mountViewRowsFactory = (core, proc) => {
   const fs = core.make('osjs/fs');
+  const {icon} = core.make('osjs/theme');
+  const {translatable} = core.make('osjs/locale');
+  const __ = translatable(translations);
   const getMountpoints = () => fs.mountpoints(true);
 
-  return () => getMountpoints().map(m => ({
+  const header = label => ({
+    key: `header:${label}`,
+    columns: [{label}],
+    data: {isHeader: true}
+  });
+
+  const createFavorites = favorites => favorites.map(favorite => ({
+    key: `favorite:${favorite.path}`,
     columns: [{
-      icon: m.icon,
-      label: m.label
+      icon: fs.icon({isDirectory: true, filename: getBasename(favorite.path), path: favorite.path}),
+      label: favorite.label || getBasename(favorite.path)
     }],
-    data: m
+    data: Object.assign({isFavorite: true}, favorite)
   }));
+
+  return () => {
+    const favorites = proc.settings.favorites || [];
+    const mountpoints = getMountpoints().map(m => ({
+      key: `mountpoint:${m.root}`,
+      columns: [{
+        icon: m.icon,
+        label: m.label
+      }],
+      data: m
+    }));
+
+    const recent = [{
+      key: 'recent',
+      columns: [{
+        icon: icon('document-open-recent'),
+        label: __('LBL_RECENT')
+      }],
+      data: {isRecent: true}
+    }];
+
+    if (core.config('filemanager.trash', true) !== false) {
+      recent.push({
+        key: 'trash',
+        columns: [{
+          icon: icon('user-trash'),
+          label: __('LBL_TRASH')
+        }],
+        data: {isTrash: true}
+      });
+    }
+
+    return favorites.length > 0
+      ? [
+        ...recent,
+        header(__('LBL_FAVORITES')),
+        ...createFavorites(favorites),
+        header(__('LBL_MOUNTPOINTS')),
+        ...mountpoints
+      ]
+      : [...recent, ...mountpoints];
+  };
 };
 
 /**
@@ -179,29 +662,51 @@ const listViewColumnFactory = (core, proc) => {
   const {translate: _, translatable} = core.make('osjs/locale');
   const __ = translatable(translations);
 
-  return () => {
+  const sortableLabel = (win, label, sortBy) => {
+    const active = proc.settings.sortBy === sortBy;
+    const indicator = proc.settings.sortAsc === false ? '\u25BC' : '\u25B2';
+
+    return h('span', {
+      class: 'osjs-filemanager-sortable' + (active ? ' osjs__active' : ''),
+      onclick: () => win.emit('filemanager:menu:sort', sortBy)
+    }, [
+      h('span', {}, label),
+      active ? h('span', {class: 'osjs-filemanager-sort-indicator'}, indicator) : null
+    ]);
+  };
+
+  return (win, showLocation) => {
     const columns = [{
-      label: _('LBL_NAME'),
+      label: sortableLabel(win, _('LBL_NAME'), 'filename'),
       style: {
         minWidth: '20em'
       }
     }];
 
+    if (showLocation) {
+      columns.push({
+        label: __('LBL_LOCATION'),
+        style: {
+          minWidth: '10em'
+        }
+      });
+    }
+
     if (proc.settings.showDate) {
       columns.push({
-        label: __('LBL_DATE')
+        label: sortableLabel(win, __('LBL_DATE'), 'date')
       });
     }
 
     return [
       ...columns,
       {
-        label: _('LBL_TYPE'),
+        label: sortableLabel(win, _('LBL_TYPE'), 'mime'),
         style: {
           maxWidth: '150px'
         }
       }, {
-        label: _('LBL_SIZE'),
+        label: sortableLabel(win, _('LBL_SIZE'), 'size'),
         style: {
           flex: '0 0 7em',
           textAlign: 'right'
@@ -212,35 +717,47 @@ const listViewColumnFactory = (core, proc) => {
 };
 
 /**
- * File view rows Factory
+ * Creates a short date and time formatter
  */
-const listViewRowFactory = (core, proc) => {
-  const fs = core.make('osjs/fs');
+const createDateFormatter = (core) => {
   const {format: formatDate} = core.make('osjs/locale');
-  const getFileIcon = file => file.icon || fs.icon(file);
 
-  const formattedDate = f => {
-    if (f.stat) {
-      const rawDate = f.stat.mtime || f.stat.ctime;
-      if (rawDate) {
-        try {
-          const d = new Date(rawDate);
-          return `${formatDate(d, 'shortDate')} ${formatDate(d, 'shortTime')}`;
-        } catch (e) {
-          return rawDate;
-        }
+  return rawDate => {
+    if (rawDate) {
+      try {
+        const d = new Date(rawDate);
+        return `${formatDate(d, 'shortDate')} ${formatDate(d, 'shortTime')}`;
+      } catch (e) {
+        return rawDate;
       }
     }
 
     return '';
   };
+};
+
+/**
+ * File view rows Factory
+ */
+const listViewRowFactory = (core, proc) => {
+  const fs = core.make('osjs/fs');
+  const formatDate = createDateFormatter(core);
+  const getFileIcon = file => file.icon || fs.icon(file);
 
-  return (list) => list.map(f => {
+  const formattedDate = f => f.stat
+    ? formatDate(f.stat.mtime || f.stat.ctime)
+    : '';
+
+  return (list, showLocation) => list.map(f => {
     const columns = [{
       label: f.filename,
       icon: getFileIcon(f)
     }];
 
+    if (showLocation) {
+      columns.push(getParentPath(f.trash ? f.trash.path : f.path));
+    }
+
     if (proc.settings.showDate) {
       columns.push(formattedDate(f));
     }
@@ -258,152 +775,2547 @@ const listViewRowFactory = (core, proc) => {
 };
 
 /**
- * VFS action Factory
+ * Creates a new selection of indexes from a click on given index
+ */
+const createSelection = (ev, index, selectedIndex, previousSelectedIndex) => {
+  const current = selectedIndex instanceof Array ? selectedIndex : [];
+
+  if (ev.shiftKey && current.length > 0) {
+    const from = Math.min(previousSelectedIndex, index);
+    const to = Math.max(previousSelectedIndex, index);
+    return Array(to - from + 1).fill(null).map((v, i) => from + i);
+  } else if (ev.ctrlKey || ev.metaKey) {
+    return current.indexOf(index) === -1
+      ? [...current, index]
+      : current.filter(i => i !== index);
+  }
+
+  return [index];
+};
+
+/**
+ * File view icons component
+ *
+ * Renders the same rows and uses the same actions as the list view, with
+ * entries from the GUI icon view and support for multiple selections.
+ */
+const iconViewComponent = (state, actions, compact) => {
+  const isSelected = index => state.selectedIndex instanceof Array &&
+    state.selectedIndex.indexOf(index) !== -1;
+
+  const getData = indexes => indexes.map(i => state.rows[i].data);
+
+  const onselect = (ev, index) => {
+    const selectedIndex = createSelection(ev, index, state.selectedIndex, state.previousSelectedIndex);
+    const previousSelectedIndex = ev.shiftKey ? state.previousSelectedIndex : index;
+
+    actions.select({data: getData(selectedIndex), index, ev});
+    actions.setSelection({selectedIndex, previousSelectedIndex});
+  };
+
+  const onactivate = (ev, index) => {
+    actions.activate({data: getData([index]), index, ev});
+    actions.setSelection({selectedIndex: [], previousSelectedIndex: index});
+  };
+
+  const oncontextmenu = (ev, index) => {
+    const selectedIndex = isSelected(index) ? state.selectedIndex : [index];
+    const data = getData(selectedIndex);
+
+    actions.select({data, index, ev});
+    actions.contextmenu({data, index, ev});
+    actions.setSelection({selectedIndex, previousSelectedIndex: index});
+  };
+
+  // The library entries only know of a single selected index, so each
+  // entry is told if it is selected on its own
+  const entry = (row, index) => {
+    const col = row.columns[0] || {};
+    const vnode = h(IconViewEntry({icon: col.icon, label: col.label, data: row.data}, index, {
+      selectedIndex: isSelected(index) ? index : -1,
+      onselect: ({ev}) => onselect(ev, index),
+      onactivate: ({ev}) => onactivate(ev, index),
+      oncontextmenu: ({ev}) => oncontextmenu(ev, index),
+      oncreate: ({el}) => actions.created({data: row.data, index, el})
+    }));
+
+    return Object.assign(vnode, {
+      key: row.key,
+      attributes: Object.assign({}, vnode.attributes, {
+        key: row.key,
+        title: typeof col.label === 'string' ? col.label : undefined
+      })
+    });
+  };
+
+  return () => h(Element, {
+    class: ['osjs-gui-icon-view', 'osjs-filemanager-icon-view', compact ? 'osjs__compact' : '']
+  }, h('div', {
+    class: 'osjs-gui-icon-view-wrapper',
+    oncreate: el => (el.scrollTop = state.scrollTop),
+    onscroll: ev => actions.scroll(ev)
+  }, state.rows.map(entry)));
+};
+
+/**
+ * Creates a human readable file size
+ */
+const formatFileSize = size => {
+  const units = ['B', 'KiB', 'MiB', 'GiB', 'TiB'];
+  const index = size > 0
+    ? Math.min(Math.floor(Math.log(size) / Math.log(1024)), units.length - 1)
+    : 0;
+
+  return `${index > 0 ? (size / Math.pow(1024, index)).toFixed(1) : size} ${units[index]}`;
+};
+
+/**
+ * Conflict dialog Factory
+ *
+ * Asks the user what to do with a file that already exists in the destination.
+ * Resolves with an action (replace, skip, keepBoth or cancel) and
+ * if this should apply to all remaining conflicts.
+ */
+const conflictDialogFactory = (core, proc, win) => {
+  const {translate: _, translatable} = core.make('osjs/locale');
+  const __ = translatable(translations);
+  const formatDate = createDateFormatter(core);
+
+  const describe = info => info
+    ? [formatFileSize(info.size || 0), formatDate(info.mtime)].filter(s => !!s).join(', ')
+    : '';
+
+  const view = ({source, target, remaining}, done) => (state, actions) => h(Box, {grow: 1, class: 'osjs-filemanager-conflict'}, [
+    h('div', {class: 'osjs-filemanager-conflict__message'},
+      __('DIALOG_CONFLICT_MESSAGE', getBasename(target.path), getParentPath(target.path))),
+    state.compare ? h('table', {class: 'osjs-filemanager-conflict__compare'}, [
+      h('tr', {}, [h('th', {}, __('LBL_CONFLICT_SOURCE')), h('td', {}, describe(source.info))]),
+      h('tr', {}, [h('th', {}, __('LBL_CONFLICT_TARGET')), h('td', {}, describe(target.info))])
+    ]) : null,
+    remaining > 0 ? h(ToggleField, {
+      label: __('LBL_APPLY_TO_ALL', remaining),
+      checked: state.applyToAll,
+      onchange: (ev, value) => actions.setApplyToAll(value)
+    }) : null,
+    h(Toolbar, {justify: 'flex-end', class: 'osjs-filemanager-conflict__buttons'}, [
+      h(Button, {label: __('LBL_REPLACE'), onclick: () => done('replace', state.applyToAll)}),
+      h(Button, {label: __('LBL_SKIP'), onclick: () => done('skip', state.applyToAll)}),
+      h(Button, {label: __('LBL_KEEP_BOTH'), onclick: () => done('keepBoth', state.applyToAll)}),
+      h(Button, {label: __('LBL_COMPARE'), disabled: state.compare, onclick: () => actions.toggleCompare()}),
+      h(Button, {label: _('LBL_CANCEL'), onclick: () => done('cancel', true)})
+    ])
+  ]);
+
+  return conflict => new Promise(resolve => {
+    let resolved = false;
+
+    const conflictWindow = proc.createWindow({
+      id: 'FileManagerConflictDialog',
+      title: __('LBL_CONFLICT_TITLE'),
+      parent: win,
+      position: 'center',
+      dimension: {width: 420, height: 220},
+      attributes: {modal: true, minimizable: false}
+    });
+
+    const done = (action, applyToAll) => {
+      if (!resolved) {
+        resolved = true;
+        resolve({action, applyToAll});
+        conflictWindow.destroy();
+      }
+    };
+
+    conflictWindow.on('destroy', () => done('cancel', true));
+    conflictWindow.render($content => app({
+      compare: false,
+      applyToAll: false
+    }, {
+      toggleCompare: () => state => ({compare: !state.compare}),
+      setApplyToAll: applyToAll => () => ({applyToAll})
+    }, view(conflict, done), $content));
+  });
+};
+
+/**
+ * Conflict resolution Factory
+ *
+ * Takes a list of entries ({source, target}) and resolves the list of
+ * entries that should actually be written along with a 'replace' flag.
  */
-const vfsActionFactory = (core, proc, win, dialog, state) => {
+const conflictFactory = (core, proc, win) => {
   const vfs = core.make('osjs/vfs');
   const {pathJoin} = core.make('osjs/fs');
   const {translatable} = core.make('osjs/locale');
   const __ = translatable(translations);
-
-  const refresh = (fileOrWatch) => {
-    // FIXME This should be implemented a bit better
-    /*
-    if (fileOrWatch === true && core.config('vfs.watch')) {
-      return;
+  const showDialog = conflictDialogFactory(core, proc, win);
+
+  const stat = file => vfs.stat(file)
+    .then(result => ({
+      size: result.size,
+      mtime: result.stat ? result.stat.mtime || result.stat.ctime : undefined
+    }))
+    .catch(() => undefined);
+
+  // Browser files does not have a path
+  const statSource = source => source.path
+    ? stat(source)
+    : Promise.resolve({size: source.size, mtime: source.lastModified});
+
+  const createUniqueTarget = async (target, createName) => {
+    const dir = getParentPath(target.path);
+    let number = 1;
+    let path = pathJoin(dir, createName(number));
+
+    while (await stat({path})) {
+      path = pathJoin(dir, createName(++number));
     }
-    */
 
-    win.emit('filemanager:navigate', state.currentPath, undefined, fileOrWatch);
+    return {path};
   };
 
-  const action = async (promiseCallback, refreshValue, defaultError) => {
-    try {
-      win.setState('loading', true);
+  const keepBoth = target => {
+    const filename = getBasename(target.path);
+    return createUniqueTarget(target, n => n > 1 ? getNumberedFilename(filename, n) : filename);
+  };
+
+  const copyOf = target => {
+    const filename = __('LBL_COPY_OF', getBasename(target.path));
+    return createUniqueTarget(target, n => n > 1 ? getNumberedFilename(filename, n) : filename);
+  };
+
+  return async (entries, move = false) => {
+    const result = [];
+    let remembered;
+
+    for (let i = 0; i < entries.length; i++) {
+      const {source, target} = entries[i];
+
+      if (source.path === target.path) {
+        if (!move) {
+          result.push({source, target: await copyOf(target), replace: false});
+        }
+        continue;
+      }
+
+      const targetInfo = await stat(target);
+      if (!targetInfo) {
+        result.push({source, target, replace: false});
+        continue;
+      }
+
+      let action = remembered;
+      if (!action) {
+        const choice = await showDialog({
+          source: Object.assign({}, source, {info: await statSource(source)}),
+          target: Object.assign({}, target, {info: targetInfo}),
+          remaining: entries.length - i - 1
+        });
+
+        action = choice.action;
+        if (choice.applyToAll) {
+          remembered = action;
+        }
+      }
+
+      if (action === 'cancel') {
+        break;
+      } else if (action === 'replace') {
+        result.push({source, target, replace: true});
+      } else if (action === 'keepBoth') {
+        result.push({source, target: await keepBoth(target), replace: false});
+      }
+    }
+
+    return result;
+  };
+};
+
+/**
+ * Properties dialog Factory
+ *
+ * Shows the stat information of one or more files.
+ */
+const propertiesDialogFactory = (core, proc, win) => {
+  const vfs = core.make('osjs/vfs');
+  const fs = core.make('osjs/fs');
+  const {translate: _, translatable} = core.make('osjs/locale');
+  const __ = translatable(translations);
+  const formatDate = createDateFormatter(core);
+  const maxDepth = core.config('filemanager.properties.maxDepth', 8);
+  const maxEntries = core.config('filemanager.properties.maxEntries', 10000);
+  const ownerFields = {
+    mode: 'LBL_PROPERTY_MODE',
+    uid: 'LBL_PROPERTY_UID',
+    gid: 'LBL_PROPERTY_GID',
+    owner: 'LBL_PROPERTY_OWNER',
+    group: 'LBL_PROPERTY_GROUP',
+    permissions: 'LBL_PROPERTY_PERMISSIONS'
+  };
+
+  const formatBytes = size => `${formatFileSize(size)} (${__('LBL_BYTES', size)})`;
+
+  const getMountpoint = path => {
+    const found = fs.mountpoints(true).find(m => m.root === getRootPath(path));
+    return found ? found.label : getRootPath(path);
+  };
+
+  const formatField = (key, value) => key === 'mode' && typeof value === 'number'
+    ? (value & 0o777).toString(8)
+    : String(value);
+
+  const row = (label, value) => h('tr', {}, [
+    h('th', {}, label),
+    h('td', {}, value)
+  ]);
+
+  const folderSizeRow = ({calculation}, actions, dirs) => {
+    if (!dirs.length) {
+      return null;
+    } else if (!calculation) {
+      return row(__('LBL_FOLDER_SIZE'), h(Button, {
+        label: __('LBL_CALCULATE_SIZE'),
+        onclick: () => actions.calculate(dirs)
+      }));
+    }
+
+    return row(__('LBL_FOLDER_SIZE'), [
+      formatBytes(calculation.size),
+      ', ',
+      __('LBL_PROPERTIES_COUNT', calculation.files, calculation.folders),
+      calculation.running ? ' ...' : '',
+      calculation.limited ? ` (${__('LBL_PROPERTIES_LIMITED')})` : ''
+    ]);
+  };
+
+  const singleView = (state, actions) => {
+    const [file] = state.files;
+    const stat = file.stat || {};
+
+    return [
+      row(_('LBL_NAME'), file.filename),
+      row(__('LBL_PATH'), file.path),
+      row(__('LBL_MOUNTPOINT'), getMountpoint(file.path)),
+      row(_('LBL_TYPE'), file.mime || ''),
+      file.isDirectory ? null : row(_('LBL_SIZE'), formatBytes(file.size || 0)),
+      folderSizeRow(state, actions, file.isDirectory ? [file] : []),
+      row(__('LBL_CREATED'), formatDate(stat.birthtime || stat.ctime)),
+      row(__('LBL_MODIFIED'), formatDate(stat.mtime)),
+      row(__('LBL_ACCESSED'), formatDate(stat.atime)),
+      ...Object.keys(ownerFields)
+        .filter(key => typeof stat[key] !== 'undefined' || typeof file[key] !== 'undefined')
+        .map(key => row(__(ownerFields[key]), formatField(key, typeof stat[key] !== 'undefined' ? stat[key] : file[key])))
+    ];
+  };
+
+  const multipleView = (state, actions) => {
+    const files = state.files.filter(file => !file.isDirectory);
+    const dirs = state.files.filter(file => file.isDirectory);
+
+    return [
+      row(__('LBL_SELECTED'), __('LBL_PROPERTIES_COUNT', files.length, dirs.length)),
+      row(_('LBL_SIZE'), formatBytes(files.reduce((sum, file) => sum + (file.size || 0), 0))),
+      folderSizeRow(state, actions, dirs)
+    ];
+  };
+
+  const view = (state, actions) => h(Box, {grow: 1, class: 'osjs-filemanager-properties'}, [
+    state.error
+      ? h('div', {class: 'osjs__error'}, state.error)
+      : h('table', {}, state.files.length === 1 ? singleView(state, actions) : multipleView(state, actions))
+  ]);
+
+  // Walks the given folders and sums up the size of all files,
+  // within the same bounds as a search
+  const calculateSize = async (dirs, onProgress, isCancelled) => {
+    const result = {size: 0, files: 0, folders: 0, running: true, limited: false};
+    const queue = dirs.map(({path}) => ({dir: {path}, depth: 0}));
+
+    while (queue.length > 0 && !isCancelled()) {
+      if (result.files + result.folders >= maxEntries) {
+        result.limited = true;
+        break;
+      }
+
+      const {dir, depth} = queue.shift();
+      const list = await vfs.readdir(dir, {showHiddenFiles: true}).catch(() => []);
+
+      list.filter(file => !isSpecialFile(file.filename)).forEach(file => {
+        if (file.isDirectory) {
+          result.folders++;
+          if (depth < maxDepth) {
+            queue.push({dir: {path: file.path}, depth: depth + 1});
+          } else {
+            result.limited = true;
+          }
+        } else {
+          result.files++;
+          result.size += file.size || 0;
+        }
+      });
+
+      onProgress(Object.assign({}, result));
+    }
+
+    onProgress(Object.assign({}, result, {running: false}));
+  };
+
+  return files => {
+    let destroyed = false;
+
+    const propertiesWindow = proc.createWindow({
+      id: 'FileManagerPropertiesDialog',
+      title: files.length === 1 ? __('LBL_PROPERTIES_OF', files[0].filename) : __('LBL_PROPERTIES'),
+      parent: win,
+      position: 'center',
+      dimension: {width: 400, height: 320},
+      attributes: {minimizable: false}
+    });
+
+    propertiesWindow.on('destroy', () => (destroyed = true));
+    propertiesWindow.render($content => {
+      const wired = app({
+        files,
+        calculation: undefined,
+        error: undefined
+      }, {
+        setFiles: files => ({files}),
+        setError: error => ({error}),
+        setCalculation: calculation => ({calculation}),
+        calculate: dirs => (state, actions) => {
+          calculateSize(dirs, calculation => !destroyed && actions.setCalculation(calculation), () => destroyed);
+        }
+      }, view, $content);
+
+      Promise.all(files.map(file => vfs.stat(file).catch(() => file)))
+        .then(result => !destroyed && wired.setFiles(result))
+        .catch(error => !destroyed && wired.setError(error.message));
+    });
+  };
+};
+
+/**
+ * Gets what kind of preview a file supports
+ */
+const getPreviewKind = (mime = '') => {
+  if (mime.match(/^image\//)) {
+    return 'image';
+  } else if (mime.match(/^(audio|video)\//)) {
+    return mime.split('/')[0];
+  } else if (mime === 'application/pdf') {
+    return navigator.pdfViewerEnabled === false ? null : 'pdf';
+  } else if (mime.match(/^text\/|[/+](json|javascript|xml|x-sh|x-httpd-php)$/)) {
+    return 'text';
+  }
+
+  return null;
+};
+
+/**
+ * Preview action Factory
+ *
+ * Loads a preview of the current selection. Any pending
+ * request is aborted when the selection changes.
+ */
+const previewActionFactory = (core, proc, win) => {
+  const vfs = core.make('osjs/vfs');
+  const maxImageSize = core.config('filemanager.preview.maxImageSize', 10 * 1024 * 1024);
+  const maxTextSize = core.config('filemanager.preview.maxTextSize', 64 * 1024);
+  let controller;
+  let current = 0;
+
+  const emit = preview => win.emit('filemanager:preview', preview);
+
+  // Reads up to the text size limit and then aborts the request
+  const readText = async (url, signal, abort) => {
+    const response = await fetch(url, {signal, credentials: 'same-origin'});
+    if (!response.ok) {
+      throw new Error(response.statusText);
+    }
+
+    const reader = response.body.getReader();
+    const chunks = [];
+    let length = 0;
+
+    while (length < maxTextSize) {
+      const {done, value} = await reader.read();
+      if (done) {
+        break;
+      }
+
+      chunks.push(value);
+      length += value.length;
+    }
+
+    abort();
+
+    const bytes = new Uint8Array(Math.min(length, maxTextSize));
+    chunks.reduce((offset, chunk) => {
+      bytes.set(chunk.subarray(0, Math.max(0, bytes.length - offset)), offset);
+      return offset + chunk.length;
+    }, 0);
+
+    return new TextDecoder().decode(bytes);
+  };
+
+  const load = async (files) => {
+    const id = ++current;
+    const isCurrent = () => id === current;
+
+    if (controller) {
+      controller.abort();
+      controller = undefined;
+    }
+
+    const [file] = files || [];
+    if (!proc.settings.showPreview || !file || files.length !== 1 || isSpecialFile(file.filename)) {
+      emit({file: undefined, count: files ? files.length : 0});
+      return;
+    }
+
+    const kind = file.isDirectory ? null : getPreviewKind(file.mime);
+    if (!kind) {
+      emit({file});
+      return;
+    } else if (kind === 'image' && file.size > maxImageSize) {
+      emit({file, tooLarge: true});
+      return;
+    }
+
+    emit({file, kind, loading: true});
+
+    try {
+      const url = await vfs.url(file);
+      if (!isCurrent()) {
+        return;
+      }
+
+      if (kind === 'text') {
+        const ctrl = new AbortController();
+        controller = ctrl;
+
+        const text = await readText(url, ctrl.signal, () => ctrl.abort());
+        if (isCurrent()) {
+          emit({file, kind, text, truncated: file.size > maxTextSize});
+        }
+      } else {
+        emit({file, kind, url});
+      }
+    } catch (error) {
+      if (isCurrent() && error.name !== 'AbortError') {
+        emit({file, error: error.message});
+      }
+    }
+  };
+
+  return {load};
+};
+
+/**
+ * Creates an IndexedDB backed key/value cache that keeps
+ * at most the given number of the most recently stored entries
+ */
+const createIndexedCache = (name, storeName, limit = Infinity) => {
+  let db;
+
+  const open = () => db || (db = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available'));
+      return;
+    }
+
+    const req = indexedDB.open(name, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(storeName).createIndex('time', 'time');
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  }));
+
+  const request = (mode, cb) => open().then(connection => new Promise((resolve, reject) => {
+    const req = cb(connection.transaction(storeName, mode).objectStore(storeName));
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  }));
+
+  // Removes the oldest entries when the store has grown past the limit
+  const prune = () => open().then(connection => new Promise((resolve, reject) => {
+    const transaction = connection.transaction(storeName, 'readwrite');
+    const store = transaction.objectStore(storeName);
+    const counter = store.count();
+
+    counter.onsuccess = () => {
+      let excess = counter.result - limit;
+      if (excess > 0) {
+        const cursor = store.index('time').openKeyCursor();
+        cursor.onsuccess = () => {
+          if (cursor.result && excess-- > 0) {
+            store.delete(cursor.result.primaryKey);
+            cursor.result.continue();
+          }
+        };
+      }
+    };
+
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  }));
+
+  return {
+    get: key => request('readonly', store => store.get(key))
+      .then(entry => entry ? entry.value : undefined)
+      .catch(() => undefined),
+    set: (key, value) => request('readwrite', store => store.put({value, time: Date.now()}, key))
+      .then(() => prune())
+      .catch(() => undefined)
+  };
+};
+
+/**
+ * Creates a key/value map that drops the least recently used entries
+ */
+const createLimitedMap = limit => {
+  const map = new Map();
+
+  return {
+    get: key => {
+      const value = map.get(key);
+      if (typeof value !== 'undefined') {
+        map.delete(key);
+        map.set(key, value);
+      }
+      return value;
+    },
+    set: (key, value) => {
+      map.delete(key);
+      map.set(key, value);
+      if (map.size > limit) {
+        map.delete(map.keys().next().value);
+      }
+    }
+  };
+};
+
+/**
+ * Gets the key of a file thumbnail, which changes along with the file
+ */
+const getThumbnailKey = file => [file.path, file.stat ? file.stat.mtime : '', file.size].join('|');
+
+/**
+ * Creates a function that checks if thumbnails are enabled for a path,
+ * which can be overridden per mountpoint by the user
+ */
+const createThumbnailChecker = (core, proc) => path => {
+  const overrides = proc.settings.thumbnailMountpoints || {};
+  const name = String(path).split(':')[0];
+
+  return typeof overrides[name] === 'boolean'
+    ? overrides[name]
+    : core.config('filemanager.thumbnails.enabled', true) !== false;
+};
+
+/**
+ * Thumbnail Factory
+ *
+ * Generates thumbnails of images as they become visible in the file view.
+ * Loaded thumbnails are emitted to the window, which renders them as icons.
+ */
+const thumbnailFactory = (core, proc, win) => {
+  const vfs = core.make('osjs/vfs');
+  const config = Object.assign({
+    size: 64,
+    concurrency: 2,
+    cacheLimit: 1000,
+    memoryLimit: 200
+  }, core.config('filemanager.thumbnails', {}));
+
+  // Every user gets their own cache so that thumbnails are not shared between logins
+  const {username} = core.getUser();
+  const cache = createIndexedCache(`osjs-filemanager-thumbnails-${username}`, 'thumbnails', config.cacheLimit);
+  const loaded = createLimitedMap(config.memoryLimit);
+  const queue = [];
+  let running = 0;
+  let observer;
+
+  const isEnabled = createThumbnailChecker(core, proc);
+
+  const canCreate = file => !!file.mime && !!file.mime.match(/^image\//) &&
+    (file.size || 0) <= proc.settings.thumbnailMaxSize &&
+    isEnabled(file.path);
+
+  const loadImage = url => new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error('Failed to load image'));
+    image.src = url;
+  });
+
+  const generate = async (file) => {
+    const image = await loadImage(await vfs.url(file));
+    const scale = Math.min(1, config.size / Math.max(image.width, image.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(image.width * scale));
+    canvas.height = Math.max(1, Math.round(image.height * scale));
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+
+    return canvas.toDataURL('image/png');
+  };
+
+  const emit = (key, src) => win.emit('filemanager:thumbnail:loaded', {key, src, limit: config.memoryLimit});
+
+  const next = () => {
+    while (running < config.concurrency && queue.length > 0) {
+      const {el, file} = queue.shift();
+      if (!el.isConnected) {
+        continue;
+      }
+
+      const key = getThumbnailKey(file);
+      running++;
+
+      cache.get(key)
+        .then(cached => cached || generate(file).then(src => {
+          cache.set(key, src);
+          return src;
+        }))
+        .then(src => {
+          loaded.set(key, src);
+          emit(key, src);
+        })
+        .catch(error => console.warn(error))
+        .then(() => {
+          running--;
+          next();
+        });
+    }
+  };
+
+  const getObserver = () => {
+    if (!observer) {
+      observer = new IntersectionObserver(entries => entries
+        .filter(entry => entry.isIntersecting)
+        .forEach(entry => {
+          observer.unobserve(entry.target);
+          queue.push({el: entry.target, file: entry.target.__thumbnailFile});
+          next();
+        }));
+    }
+
+    return observer;
+  };
+
+  // Only the first cell of a row contains the icon
+  const observe = (el, file) => {
+    if (!canCreate(file) || !el.querySelector('.osjs-icon')) {
+      return;
+    }
+
+    const key = getThumbnailKey(file);
+    const src = loaded.get(key);
+    if (src) {
+      emit(key, src);
+    } else if (typeof IntersectionObserver !== 'undefined') {
+      el.__thumbnailFile = file;
+      getObserver().observe(el);
+    }
+  };
+
+  return {
+    observe,
+    isEnabled,
+    destroy: () => observer && observer.disconnect()
+  };
+};
+
+/**
+ * Creates a function that computes the new name of a file in a batch rename
+ */
+const createBatchRenamer = options => {
+  const {find, replace, regex, prefix, suffix, caseMode, numbering, start, padding, position, extension} = options;
+  const pattern = find
+    ? (regex ? new RegExp(find, 'g') : new RegExp(find.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g'))
+    : null;
+
+  const cases = {
+    lower: s => s.toLowerCase(),
+    upper: s => s.toUpperCase(),
+    title: s => s.toLowerCase().replace(/(^|[\s_-])(\S)/g, (m, a, b) => a + b.toUpperCase())
+  };
+
+  return (filename, index) => {
+    const dot = filename.lastIndexOf('.');
+    let name = dot > 0 ? filename.substr(0, dot) : filename;
+    let ext = dot > 0 ? filename.substr(dot + 1) : '';
+
+    if (pattern) {
+      name = name.replace(pattern, replace || '');
+    }
+
+    if (cases[caseMode]) {
+      name = cases[caseMode](name);
+    }
+
+    if (numbering) {
+      const number = String((parseInt(start, 10) || 0) + index)
+        .padStart(parseInt(padding, 10) || 0, '0');
+
+      name = position === 'prefix' ? `${number} ${name}` : `${name} ${number}`;
+    }
+
+    name = `${prefix || ''}${name}${suffix || ''}`;
+
+    if (extension) {
+      ext = extension.replace(/^\./, '');
+    }
+
+    return ext ? `${name}.${ext}` : name;
+  };
+};
+
+/**
+ * Creates the plan of a batch rename, including errors for invalid names and collisions
+ */
+const planBatchRename = (files, options, existing) => {
+  let rename;
+  try {
+    rename = createBatchRenamer(options);
+  } catch (e) {
+    return {error: e.message, entries: []};
+  }
+
+  const entries = files.map((file, index) => {
+    const dir = getParentPath(file.path);
+    const filename = rename(file.filename, index);
+    const path = dir.replace(/\/?$/, '/') + filename;
+
+    return {file, dir, filename, path, changed: filename !== file.filename};
+  });
+
+  const sources = files.map(file => file.path);
+  const targets = entries.map(entry => entry.path);
+
+  entries.forEach(entry => {
+    if (!entry.filename || entry.filename.match(/[/\\]/) || isSpecialFile(entry.filename)) {
+      entry.error = 'invalid';
+    } else if (targets.filter(path => path === entry.path).length > 1) {
+      entry.error = 'collision';
+    } else if (entry.changed && sources.indexOf(entry.path) === -1 && (existing[entry.dir] || []).indexOf(entry.filename) !== -1) {
+      entry.error = 'exists';
+    }
+  });
+
+  return {entries};
+};
+
+/**
+ * Batch rename dialog Factory
+ */
+const batchRenameDialogFactory = (core, proc, win) => {
+  const vfs = core.make('osjs/vfs');
+  const {translate: _, translatable} = core.make('osjs/locale');
+  const __ = translatable(translations);
+
+  const errors = {
+    invalid: __('LBL_BATCH_RENAME_INVALID'),
+    collision: __('LBL_BATCH_RENAME_COLLISION'),
+    exists: __('LBL_BATCH_RENAME_EXISTS')
+  };
+
+  const field = (state, actions, name, label, props = {}) => h(TextField, Object.assign({
+    value: state.options[name],
+    placeholder: label,
+    box: {grow: 1, shrink: 1, basis: '6em'},
+    oninput: (ev, value) => actions.setOption({[name]: value})
+  }, props));
+
+  const toggle = (state, actions, name, label) => h(ToggleField, {
+    label,
+    checked: state.options[name],
+    onchange: (ev, value) => actions.setOption({[name]: value})
+  });
+
+  const select = (state, actions, name, choices) => h(SelectField, {
+    value: state.options[name],
+    choices,
+    onchange: (ev, value) => actions.setOption({[name]: value})
+  });
+
+  const previewRow = entry => h('tr', {class: entry.error ? 'osjs__error' : (entry.changed ? 'osjs__changed' : '')}, [
+    h('td', {}, entry.file.filename),
+    h('td', {}, '\u2192'),
+    h('td', {}, entry.filename),
+    h('td', {}, entry.error ? errors[entry.error] : '')
+  ]);
+
+  // Sources that are the target of an entry are first moved out of the way to temporary names.
+  // If a rename fails, the completed ones are reversed before the error is reported
+  const apply = async (entries) => {
+    const targets = entries.map(entry => entry.path);
+    const stamp = Date.now();
+    const steps = entries.map(entry => ({entry, from: {path: entry.file.path}}));
+    const completed = [];
+
+    const rename = async (from, to) => {
+      await vfs.rename(from, to);
+      completed.push({from, to});
+    };
+
+    try {
+      for (const step of steps.filter(step => targets.indexOf(step.from.path) !== -1)) {
+        const temporary = {path: `${step.entry.dir.replace(/\/?$/, '/')}.${step.entry.file.filename}.${stamp}.tmp`};
+        await rename(step.from, temporary);
+        step.from = temporary;
+      }
+
+      for (const step of steps) {
+        await rename(step.from, {path: step.entry.path});
+      }
+    } catch (error) {
+      for (const {from, to} of [...completed].reverse()) {
+        await vfs.rename(to, from).catch(e => console.warn(e));
+      }
+
+      throw error;
+    }
+
+    return completed;
+  };
+
+  const view = (files, existing, done) => (state, actions) => {
+    const plan = planBatchRename(files, state.options, existing);
+    const changed = plan.entries.filter(entry => entry.changed);
+    const valid = !plan.error && changed.length > 0 && !plan.entries.some(entry => entry.error);
+
+    return h(Box, {grow: 1, class: 'osjs-filemanager-batch-rename'}, [
+      h(Toolbar, {}, [
+        field(state, actions, 'find', __('LBL_BATCH_RENAME_FIND')),
+        field(state, actions, 'replace', __('LBL_BATCH_RENAME_REPLACE')),
+        toggle(state, actions, 'regex', __('LBL_BATCH_RENAME_REGEX'))
+      ]),
+      h(Toolbar, {}, [
+        field(state, actions, 'prefix', __('LBL_BATCH_RENAME_PREFIX')),
+        field(state, actions, 'suffix', __('LBL_BATCH_RENAME_SUFFIX')),
+        field(state, actions, 'extension', __('LBL_BATCH_RENAME_EXTENSION')),
+        select(state, actions, 'caseMode', {
+          none: __('LBL_BATCH_RENAME_CASE_NONE'),
+          lower: __('LBL_BATCH_RENAME_CASE_LOWER'),
+          upper: __('LBL_BATCH_RENAME_CASE_UPPER'),
+          title: __('LBL_BATCH_RENAME_CASE_TITLE')
+        })
+      ]),
+      h(Toolbar, {}, [
+        toggle(state, actions, 'numbering', __('LBL_BATCH_RENAME_NUMBERING')),
+        field(state, actions, 'start', __('LBL_BATCH_RENAME_START'), {type: 'number', disabled: !state.options.numbering}),
+        field(state, actions, 'padding', __('LBL_BATCH_RENAME_PADDING'), {type: 'number', disabled: !state.options.numbering}),
+        select(state, actions, 'position', {
+          suffix: __('LBL_BATCH_RENAME_SUFFIX'),
+          prefix: __('LBL_BATCH_RENAME_PREFIX')
+        })
+      ]),
+      h('div', {class: 'osjs__preview'}, plan.error
+        ? h('div', {class: 'osjs__error'}, plan.error)
+        : h('table', {}, plan.entries.map(previewRow))),
+      h(Toolbar, {justify: 'flex-end'}, [
+        h('span', {class: 'osjs__status'}, __('LBL_BATCH_RENAME_STATUS', changed.length, files.length)),
+        h(Button, {label: _('LBL_RENAME'), disabled: !valid, onclick: () => done(changed)}),
+        h(Button, {label: _('LBL_CANCEL'), onclick: () => done(null)})
+      ])
+    ]);
+  };
+
+  return (action, files) => {
+    const renameWindow = proc.createWindow({
+      id: 'FileManagerBatchRenameDialog',
+      title: __('LBL_BATCH_RENAME', files.length),
+      parent: win,
+      position: 'center',
+      dimension: {width: 520, height: 420},
+      attributes: {modal: true, minimizable: false}
+    });
+
+    const done = entries => {
+      renameWindow.destroy();
+
+      if (entries) {
+        // Every step is recorded, temporary names included, so that swaps can be reverted
+        action(
+          () => apply(entries),
+          true,
+          __('MSG_RENAME_ERROR'),
+          completed => completed.map(({from, to}) => ({type: 'rename', from, to}))
+        );
+      }
+    };
+
+    const dirs = files
+      .map(file => getParentPath(file.path))
+      .filter((dir, index, list) => list.indexOf(dir) === index);
+
+    renameWindow.render($content => {
+      const wired = app({
+        existing: {},
+        options: {
+          find: '',
+          replace: '',
+          regex: false,
+          prefix: '',
+          suffix: '',
+          caseMode: 'none',
+          numbering: false,
+          start: '1',
+          padding: '2',
+          position: 'suffix',
+          extension: ''
+        }
+      }, {
+        setExisting: existing => ({existing}),
+        setOption: option => ({options}) => ({options: Object.assign({}, options, option)})
+      }, (state, actions) => view(files, state.existing, done)(state, actions), $content);
+
+      Promise.all(dirs.map(dir => vfs.readdir({path: dir}, {showHiddenFiles: true})
+        .then(list => list.map(file => file.filename))
+        .catch(() => [])))
+        .then(lists => wired.setExisting(dirs.reduce((result, dir, index) => Object.assign(result, {
+          [dir]: lists[index]
+        }), {})));
+    });
+  };
+};
+
+/**
+ * Folder picker dialog Factory
+ *
+ * Browses mountpoints and directories for a destination and
+ * remembers the last chosen destinations.
+ */
+const folderPickerDialogFactory = (core, proc, win) => {
+  const vfs = core.make('osjs/vfs');
+  const fs = core.make('osjs/fs');
+  const {translate: _, translatable} = core.make('osjs/locale');
+  const __ = translatable(translations);
+  const createMounts = mountViewRowsFactory(core, proc);
+
+  const header = label => ({
+    key: `header:${label}`,
+    columns: [{label}],
+    data: {isHeader: true}
+  });
+
+  const remember = path => {
+    const limit = core.config('filemanager.maxRecentDestinations', 5);
+    const destinations = (proc.settings.recentDestinations || []).filter(p => p !== path);
+
+    proc.emit('filemanager:setting:silent', 'recentDestinations', [path, ...destinations].slice(0, limit));
+  };
+
+  const createPlaces = () => {
+    const destinations = (proc.settings.recentDestinations || []).map(path => ({
+      key: `destination:${path}`,
+      columns: [{
+        icon: fs.icon({isDirectory: true, filename: getBasename(path), path}),
+        label: getBasename(path)
+      }],
+      data: {path}
+    }));
+
+    const places = createMounts()
+      .filter(row => !row.data.isRecent && !row.data.isTrash)
+      .map(row => row.data.isHeader ? row : Object.assign({}, row, {
+        data: {path: row.data.isFavorite ? row.data.path : row.data.root}
+      }));
+
+    if (destinations.length === 0) {
+      return places;
+    }
+
+    return [
+      header(__('LBL_RECENT_DESTINATIONS')),
+      ...destinations,
+      ...(places.length > 0 && !places[0].data.isHeader ? [header(__('LBL_MOUNTPOINTS'))] : []),
+      ...places
+    ];
+  };
+
+  const createFolders = list => list
+    .filter(file => file.isDirectory && file.filename !== '.')
+    .sort(createFileSorter(proc.settings))
+    .map(file => ({
+      key: file.path,
+      columns: [{icon: fs.icon(file), label: file.filename}],
+      data: file
+    }));
+
+  const view = (options, done) => (state, actions) => {
+    const Places = listView.component(state.places, actions.places);
+    const Folders = listView.component(state.folders, actions.folders);
+    const destination = state.folders.selected || {path: state.path};
+
+    return h(Box, {grow: 1, class: 'osjs-filemanager-folder-picker'}, [
+      h(TextField, {
+        value: state.path,
+        onenter: (ev, value) => actions.navigate(value)
+      }),
+      h(Panes, {style: {flex: '1 1'}}, [
+        h('div', {class: 'osjs-filemanager-mountview'}, h(Places)),
+        h('div', {class: 'osjs-filemanager-fileview'}, h(Folders))
+      ]),
+      h(Toolbar, {justify: 'flex-end'}, [
+        h('span', {class: state.error ? 'osjs__status osjs__error' : 'osjs__status'},
+          state.error || destination.path),
+        h(Button, {
+          label: options.label || __('LBL_SELECT_FOLDER'),
+          disabled: !!state.error || state.loading,
+          onclick: () => done(destination)
+        }),
+        h(Button, {label: _('LBL_CANCEL'), onclick: () => done(null)})
+      ])
+    ]);
+  };
+
+  return (options = {}) => new Promise(resolve => {
+    let resolved = false;
+    let wired;
+
+    const pickerWindow = proc.createWindow({
+      id: 'FileManagerFolderPickerDialog',
+      title: options.title || __('LBL_SELECT_FOLDER'),
+      parent: win,
+      position: 'center',
+      dimension: {width: 520, height: 400},
+      attributes: {modal: true, minimizable: false}
+    });
+
+    const done = dir => {
+      if (!resolved) {
+        resolved = true;
+
+        if (dir) {
+          remember(dir.path);
+        }
+
+        resolve(dir ? {path: dir.path} : undefined);
+        pickerWindow.destroy();
+      }
+    };
+
+    const navigate = path => {
+      wired.setLoading(path);
+
+      return vfs.readdir({path}, {showHiddenFiles: proc.settings.showHiddenFiles})
+        .then(list => wired && wired.setList({path, list}))
+        .catch(error => {
+          console.warn(error);
+          return wired && wired.setError(__('MSG_FOLDER_PICKER_ERROR', path));
+        });
+    };
+
+    pickerWindow.on('destroy', () => {
+      wired = undefined;
+      done(null);
+    });
+
+    pickerWindow.render($content => {
+      wired = app({
+        path: options.path.path,
+        loading: true,
+        error: null,
+        places: listView.state({
+          class: 'osjs-gui-fill',
+          columns: ['Name'],
+          hideColumns: true,
+          rows: createPlaces()
+        }),
+        folders: listView.state({
+          columns: [_('LBL_NAME')],
+          hideColumns: true,
+          selected: null
+        })
+      }, {
+        navigate: path => () => {
+          navigate(path);
+        },
+        setLoading: path => () => ({path, loading: true, error: null}),
+        setError: error => () => ({error, loading: false}),
+        setList: ({path, list}) => state => ({
+          path,
+          loading: false,
+          error: null,
+          folders: Object.assign({}, state.folders, {
+            rows: createFolders(list),
+            selected: null,
+            selectedIndex: -1,
+            scrollTop: 0
+          })
+        }),
+        places: listView.actions({
+          select: ({data}) => {
+            if (!data.isHeader) {
+              navigate(data.path);
+            }
+          }
+        }),
+        folders: listView.actions({
+          select: ({data}) => ({selected: isSpecialFile(data.filename) ? null : data}),
+          activate: ({data}) => {
+            navigate(data.path);
+          }
+        })
+      }, view(options, done), $content);
+
+      navigate(options.path.path);
+    });
+  });
+};
+
+/**
+ * Checks if given filename is a supported archive
+ */
+const isArchiveFile = filename => !!String(filename).match(/\.(zip|tar|tar\.gz|tgz)$/i);
+
+/**
+ * Makes an archive entry path relative, or returns null if it would
+ * end up outside of the extraction directory. The archive root (ex. "./")
+ * becomes an empty path
+ */
+const sanitizeArchivePath = path => {
+  const parts = String(path).replace(/\\/g, '/').split('/')
+    .filter(part => part !== '' && part !== '.');
+
+  if (parts.some(part => part === '..') || (parts.length > 0 && parts[0].indexOf(':') !== -1)) {
+    return null;
+  }
+
+  return parts.join('/');
+};
+
+/**
+ * Reads the entries of a tar archive
+ */
+const parseTar = data => {
+  const decoder = new TextDecoder();
+  const text = (buffer, start, length) => decoder
+    .decode(buffer.subarray(start, start + length))
+    .replace(/\0[\s\S]*$/, '');
+
+  // Pax records are formatted as "<length> <key>=<value>\n"
+  const records = buffer => {
+    const result = {};
+    let position = 0;
+
+    while (position < buffer.length) {
+      const space = buffer.indexOf(0x20, position);
+      const length = space === -1 ? 0 : parseInt(decoder.decode(buffer.subarray(position, space)), 10);
+      if (!length) {
+        break;
+      }
+
+      const record = decoder.decode(buffer.subarray(space + 1, position + length - 1));
+      const index = record.indexOf('=');
+      result[record.substr(0, index)] = record.substr(index + 1);
+      position += length;
+    }
+
+    return result;
+  };
+
+  const entries = [];
+  let offset = 0;
+  let pending = {};
+
+  while (offset + 512 <= data.length) {
+    const header = data.subarray(offset, offset + 512);
+    if (header.every(byte => byte === 0)) {
+      break;
+    }
+
+    const prefix = text(header, 257, 5) === 'ustar' ? text(header, 345, 155) : '';
+    const name = pending.path || (prefix ? `${prefix}/${text(header, 0, 100)}` : text(header, 0, 100));
+    const size = parseInt(pending.size || text(header, 124, 12).trim() || '0', pending.size ? 10 : 8);
+    const type = text(header, 156, 1);
+    const body = data.subarray(offset + 512, offset + 512 + size);
+
+    // Extended headers (pax and GNU long names) describe the entry that follows.
+    // Global pax headers and GNU long link names are not needed for extracting
+    if (type === 'x') {
+      pending = Object.assign({}, pending, records(body));
+    } else if (type === 'L') {
+      pending = Object.assign({}, pending, {path: text(body, 0, size)});
+    } else if (type !== 'g' && type !== 'K') {
+      if (type === '5') {
+        entries.push({path: name, isDirectory: true});
+      } else if (type === '0' || type === '' || type === '7') {
+        entries.push({path: name, data: body});
+      }
+
+      pending = {};
+    }
+
+    offset += 512 + Math.ceil(size / 512) * 512;
+  }
+
+  return entries;
+};
+
+/**
+ * Archive Factory
+ *
+ * Creates and reads archives on the client.
+ */
+const archiveFactory = (core, proc) => {
+  const vfs = core.make('osjs/vfs');
+  const {translatable} = core.make('osjs/locale');
+  const __ = translatable(translations);
+  const defaultLimit = core.config('filemanager.maxArchiveSize', 100 * 1024 * 1024);
+  const extractLimit = core.config('filemanager.maxArchiveExtractSize', 100 * 1024 * 1024);
+
+  const assertExtractSize = size => {
+    if (size > extractLimit) {
+      throw new Error(__('MSG_ARCHIVE_EXTRACT_TOO_LARGE', formatFileSize(extractLimit)));
+    }
+  };
+
+  // The size of the uncompressed data is stored in the last four bytes of a gzip stream
+  const getGzipSize = buffer => buffer.length < 18
+    ? 0
+    : (buffer[buffer.length - 4] | buffer[buffer.length - 3] << 8 |
+      buffer[buffer.length - 2] << 16 | buffer[buffer.length - 1] << 24) >>> 0;
+
+  const getZipSize = buffer => {
+    let size = 0;
+    unzipSync(buffer, {
+      filter: file => {
+        size += file.originalSize;
+        return false;
+      }
+    });
+
+    return size;
+  };
+
+  // Walks the given files and folders, optionally bounded by a total size
+  const collect = async (items, limit) => {
+    const entries = [];
+    let total = 0;
+
+    const walk = async (file, path) => {
+      if (file.isDirectory) {
+        entries.push({file, path, isDirectory: true});
+
+        const list = await vfs.readdir(file, {showHiddenFiles: true});
+        for (const child of list.filter(child => !isSpecialFile(child.filename))) {
+          await walk(child, `${path}/${child.filename}`);
+        }
+      } else {
+        total += file.size || 0;
+        if (limit && total > limit) {
+          throw new Error(__('MSG_ARCHIVE_TOO_LARGE', formatFileSize(limit)));
+        }
+
+        entries.push({file, path});
+      }
+    };
+
+    for (const item of items) {
+      await walk(item, item.filename);
+    }
+
+    return {entries, total};
+  };
+
+  // Reads the files one by one and streams them into a zip. The archive
+  // is kept in memory until it has been written, so the size is bounded
+  const create = (items, onProgress, limit = defaultLimit) => collect(items, limit)
+    .then(({entries, total}) => new Promise((resolve, reject) => {
+      const chunks = [];
+      const zip = new Zip((error, chunk, final) => {
+        if (error) {
+          reject(error);
+        } else {
+          chunks.push(chunk);
+          if (final) {
+            resolve(new Blob(chunks, {type: 'application/zip'}));
+          }
+        }
+      });
+
+      const add = async () => {
+        let loaded = 0;
+
+        for (const entry of entries) {
+          if (entry.isDirectory) {
+            const directory = new ZipPassThrough(`${entry.path}/`);
+            zip.add(directory);
+            directory.push(new Uint8Array(0), true);
+          } else {
+            const buffer = await vfs.readfile(entry.file, 'arraybuffer');
+            const file = new ZipDeflate(entry.path, {level: 6});
+            const mtime = entry.file.stat && entry.file.stat.mtime;
+            if (mtime) {
+              file.mtime = new Date(mtime);
+            }
+
+            zip.add(file);
+            file.push(new Uint8Array(buffer), true);
+
+            loaded += entry.file.size || 0;
+            onProgress(loaded, total);
+          }
+        }
+
+        zip.end();
+      };
+
+      add().catch(error => {
+        zip.terminate();
+        reject(error);
+      });
+    }));
+
+  // Returns a list of relative files and directories
+  const read = async (file) => {
+    const buffer = new Uint8Array(await vfs.readfile(file, 'arraybuffer'));
+    const filename = file.filename.toLowerCase();
+    let entries;
+
+    // Sizes are checked before anything is inflated
+    if (filename.match(/\.zip$/)) {
+      assertExtractSize(getZipSize(buffer));
+
+      const files = unzipSync(buffer);
+      entries = Object.keys(files).map(path => path.match(/\/$/)
+        ? {path, isDirectory: true}
+        : {path, data: files[path]});
+    } else if (filename.match(/\.(tar\.gz|tgz)$/)) {
+      assertExtractSize(getGzipSize(buffer));
+      entries = parseTar(gunzipSync(buffer));
+    } else {
+      assertExtractSize(buffer.length);
+      entries = parseTar(buffer);
+    }
+
+    const unsafe = entries.find(entry => sanitizeArchivePath(entry.path) === null);
+    if (unsafe) {
+      throw new Error(__('MSG_ARCHIVE_UNSAFE', unsafe.path));
+    }
+
+    // Entries of the archive root itself are skipped
+    const sanitized = entries
+      .map(entry => Object.assign({}, entry, {path: sanitizeArchivePath(entry.path)}))
+      .filter(entry => entry.path !== '');
+
+    return {
+      directories: sanitized
+        .filter(entry => entry.isDirectory)
+        .map(entry => entry.path),
+      files: sanitized
+        .filter(entry => !entry.isDirectory)
+        .map(entry => ({path: entry.path, file: new File([entry.data], getBasename(entry.path))}))
+    };
+  };
+
+  return {create, read};
+};
+
+/**
+ * Transfer manager Factory
+ *
+ * Queues uploads, copies, moves and deletions and runs them with a
+ * limited concurrency. A task is an object with a type, label, optional
+ * total size and a run(onProgress) function that returns a promise.
+ *
+ * NOTE: The VFS does not support aborting requests, so only items that
+ * have not started yet can be cancelled.
+ */
+const transferFactory = (core, proc, win) => {
+  const concurrency = core.config('filemanager.transfers.concurrency', 3);
+  const finished = ['done', 'failed', 'cancelled'];
+  let items = [];
+  let batches = [];
+  let summary;
+  let lastId = 0;
+  let updateTimeout;
+
+  const describe = item => ({
+    id: item.id,
+    type: item.type,
+    label: item.label,
+    status: item.status,
+    loaded: item.loaded,
+    total: item.total,
+    speed: item.speed,
+    eta: item.eta,
+    error: item.error
+  });
+
+  // Progress is reported quite often, so updates are throttled
+  const update = () => {
+    if (!updateTimeout) {
+      updateTimeout = setTimeout(() => {
+        updateTimeout = undefined;
+        win.emit('filemanager:transfers', {items: items.map(describe), summary});
+      }, 100);
+    }
+  };
+
+  const createSummary = list => ['done', 'failed', 'cancelled']
+    .map(status => [status, list.filter(item => item.status === status).length]);
+
+  const settle = () => {
+    const settled = batches.filter(batch => batch.items.every(item => finished.indexOf(item.status) !== -1));
+    batches = batches.filter(batch => settled.indexOf(batch) === -1);
+
+    settled.forEach(batch => {
+      summary = createSummary(batch.items);
+      batch.resolve(batch.items.map(({status, result, error}) => ({status, result, error})));
+    });
+  };
+
+  const createProgress = (item, isCurrent) => (loaded, total) => {
+    if (isCurrent()) {
+      const elapsed = (Date.now() - item.started) / 1000;
+      item.total = total || item.total;
+      item.loaded = loaded;
+      item.speed = elapsed > 0 ? loaded / elapsed : 0;
+      item.eta = item.speed > 0 && item.total ? (item.total - loaded) / item.speed : undefined;
+      update();
+    }
+  };
+
+  const start = item => {
+    const attempt = ++item.attempt;
+    const isCurrent = () => item.attempt === attempt && item.status === 'running';
+
+    Object.assign(item, {
+      status: 'running',
+      loaded: 0,
+      speed: 0,
+      eta: undefined,
+      error: undefined,
+      started: Date.now()
+    });
+
+    item.run(createProgress(item, isCurrent))
+      .then(result => {
+        if (isCurrent()) {
+          Object.assign(item, {status: 'done', result, loaded: item.total});
+        }
+      })
+      .catch(error => {
+        if (isCurrent()) {
+          Object.assign(item, {status: 'failed', error: error && error.message ? error.message : String(error)});
+        }
+      })
+      .then(() => {
+        // Items retried after their batch was finished has no one waiting for them
+        if (item.retried && item.status === 'done') {
+          win.emit('filemanager:menu:refresh');
+        }
+
+        next();
+      });
+  };
+
+  const next = () => {
+    const running = items.filter(item => item.status === 'running').length;
+
+    items
+      .filter(item => item.status === 'queued')
+      .slice(0, Math.max(0, concurrency - running))
+      .forEach(start);
+
+    settle();
+    update();
+  };
+
+  const add = tasks => new Promise(resolve => {
+    const added = tasks.map(task => Object.assign({
+      total: 0
+    }, task, {
+      id: ++lastId,
+      status: 'queued',
+      attempt: 0,
+      loaded: 0
+    }));
+
+    items = [...items, ...added];
+    batches.push({items: added, resolve});
+    next();
+  });
+
+  const change = (id, from, to) => {
+    const item = items.find(item => item.id === id);
+    if (item && from.indexOf(item.status) !== -1) {
+      item.status = to;
+      if (to === 'queued' && item.attempt > 0) {
+        item.retried = !batches.some(batch => batch.items.indexOf(item) !== -1);
+      }
+      next();
+    }
+  };
+
+  return {
+    add,
+    cancel: id => change(id, ['queued', 'paused'], 'cancelled'),
+    pause: id => change(id, ['queued'], 'paused'),
+    resume: id => change(id, ['paused'], 'queued'),
+    retry: id => change(id, ['failed', 'cancelled'], 'queued'),
+    clear: () => {
+      items = items.filter(item => finished.indexOf(item.status) === -1);
+      summary = undefined;
+      update();
+    }
+  };
+};
+
+/**
+ * VFS action Factory
+ */
+const vfsActionFactory = (core, proc, win, dialog, state, journal, transfers, trash) => {
+  const vfs = core.make('osjs/vfs');
+  const fs = core.make('osjs/fs');
+  const {pathJoin} = fs;
+  const getMountpoints = () => fs.mountpoints(true);
+  const {translatable} = core.make('osjs/locale');
+  const __ = translatable(translations);
+  const resolveConflicts = conflictFactory(core, proc, win);
+  const archive = archiveFactory(core, proc);
+
+  // Sets an existing destination aside while it is being replaced. It goes into the trash
+  // when possible, otherwise to a temporary name that is removed after the transfer
+  const setAside = async (target) => {
+    if (trash.enabled && !trash.isTrashed(target.path)) {
+      const [operations] = await trash.trash([{path: target.path, filename: getBasename(target.path)}]);
+      const trashed = operations[operations.length - 1].to;
+
+      return {
+        operations,
+        restore: () => trash.restore([{path: trashed.path, filename: getBasename(trashed.path)}]),
+        commit: () => Promise.resolve()
+      };
+    }
+
+    const temporary = {
+      path: pathJoin(getParentPath(target.path), `.${getBasename(target.path)}.${Date.now()}.tmp`)
+    };
+
+    await vfs.move(target, temporary, {pid: proc.pid});
+
+    return {
+      operations: null,
+      restore: () => vfs.move(temporary, target, {pid: proc.pid}),
+      commit: () => vfs.unlink(temporary, {pid: proc.pid})
+    };
+  };
+
+  // Copies or moves an entry and resolves the operations for the journal
+  const transferEntry = async (move, {source, target, replace}) => {
+    const aside = replace ? await setAside(target) : undefined;
+
+    try {
+      await (move
+        ? vfs.move(source, target, {pid: proc.pid})
+        : vfs.copy(source, target, {pid: proc.pid}));
+    } catch (error) {
+      if (aside) {
+        await aside.restore().catch(e => console.warn(e));
+      }
+
+      throw error;
+    }
+
+    if (!aside) {
+      return [{type: move ? 'move' : 'copy', from: {path: source.path}, to: target}];
+    }
+
+    await aside.commit();
+
+    // NOTE: Replacements without the trash cannot be reverted
+    return aside.operations
+      ? [...aside.operations, {type: move ? 'move' : 'copy', from: {path: source.path}, to: target}]
+      : null;
+  };
+
+  const refresh = (fileOrWatch) => {
+    // FIXME This should be implemented a bit better
+    /*
+    if (fileOrWatch === true && core.config('vfs.watch')) {
+      return;
+    }
+    */
+
+    if (proc.settings.dualPane) {
+      win.emit('filemanager:pane:navigate', state.panePath || state.currentPath, state.panePath ? true : undefined);
+    }
+
+    // The search walk is expensive, so it is only restarted on explicit refreshes
+    if (state.search) {
+      if (typeof fileOrWatch === 'undefined') {
+        win.emit('filemanager:search', state.search);
+      }
+      return;
+    } else if (state.recent) {
+      win.emit('filemanager:recent:show');
+      return;
+    } else if (state.trash) {
+      win.emit('filemanager:trash:show');
+      return;
+    }
+
+    win.emit('filemanager:navigate', state.currentPath, undefined, fileOrWatch);
+  };
+
+  const action = async (promiseCallback, refreshValue, defaultError, operations) => {
+    try {
+      win.setState('loading', true);
+
+      const result = await promiseCallback();
+      if (operations) {
+        journal.record(typeof operations === 'function' ? operations(result) : operations);
+      }
+
+      refresh(refreshValue);
+      return result;
+    } catch (error) {
+      dialog('error', error, defaultError || __('MSG_ERROR'));
+    } finally {
+      win.setState('loading', false);
+    }
+
+    return [];
+  };
+
+  const writeRelative = (f, dir = state.currentPath, target) => ({
+    type: 'upload',
+    label: f.name,
+    total: f.size,
+    run: onProgress => vfs.writefile(target || {
+      path: pathJoin(dir.path, f.name)
+    }, f, {
+      pid: proc.pid,
+      onProgress: (ev, p) => onProgress(ev && ev.lengthComputable ? ev.loaded : f.size * p / 100)
+    })
+  });
+
+  const createTask = (type, file, run) => ({
+    type,
+    label: file.filename,
+    total: file.size || 0,
+    run
+  });
+
+  const succeeded = (results, list) => list.filter((entry, index) => results[index].status === 'done');
+
+  // Creates the directory structure of an upload before any files are written
+  const createDirectories = async (directories, dir) => {
+    const sorted = [...directories].sort((a, b) => a.split('/').length - b.split('/').length);
+
+    for (const relativePath of sorted) {
+      const path = pathJoin(dir.path, relativePath);
+      if (!await vfs.exists({path}).catch(() => false)) {
+        await vfs.mkdir({path}, {pid: proc.pid});
+      }
+    }
+  };
+
+  const uploadTree = async ({files, directories}, dir) => {
+    await createDirectories([
+      ...directories,
+      ...getRelativeDirectories(files.map(({path}) => path))
+    ], dir);
+
+    const entries = await resolveConflicts(files.map(({file, path}) => ({
+      source: file,
+      target: {path: pathJoin(dir.path, path)}
+    })));
+
+    const results = await transfers.add(entries.map(entry => writeRelative(entry.source, dir, entry.target)));
+    const [first] = succeeded(results, entries)
+      .map(entry => entry.target.path.substr(dir.path.replace(/\/?$/, '/').length).split('/')[0]);
+
+    refresh(first || true); // FIXME: Select all ?
+  };
+
+  const uploadBrowserFiles = (files, dir = state.currentPath, ev) => {
+    const entries = getDroppedEntries(ev);
+    const read = entries
+      ? readDroppedEntries(entries)
+      : Promise.resolve({
+        files: files.map(file => ({file, path: file.webkitRelativePath || file.name})),
+        directories: []
+      });
+
+    return read
+      .then(tree => uploadTree(tree, dir))
+      .catch(error => dialog('error', error, __('MSG_UPLOAD_ERROR')));
+  };
+
+  // Drops of items from the same directory are ignored
+  const getDroppedItems = (data, dir) => [].concat(data || [])
+    .filter(item => item && item.path && item.filename)
+    .filter(item => pathJoin(dir.path, item.filename) !== item.path);
+
+  const uploadVirtualFile = (data, dir = state.currentPath) => {
+    const items = getDroppedItems(data, dir);
+    if (items.length > 0) {
+      paste(false, dir)({items});
+    }
+  };
+
+  // Drops onto a folder or mountpoint moves by default, and copies when Ctrl is held
+  const dropTo = (ev, dir, data, files) => {
+    if (files && files.length > 0) {
+      return uploadBrowserFiles(Array.from(files), dir, ev);
+    }
+
+    // Dropping an item onto itself is not an error
+    const items = getDroppedItems(data, dir)
+      .filter(item => dir.path !== item.path);
+
+    return items.length > 0
+      ? paste(!(ev.ctrlKey || ev.metaKey), dir)({items})
+      : undefined;
+  };
+
+  const drop = divertDropAction((files, ev) => uploadBrowserFiles(files, undefined, ev), data => uploadVirtualFile(data));
+
+  const dropPane = divertDropAction(
+    (files, ev) => uploadBrowserFiles(files, state.panePath, ev),
+    data => uploadVirtualFile(data, state.panePath)
+  );
+
+  const readdirPane = async (dir, history) => {
+    if (Array.isArray(dir)) {
+      dir = dir[0];
+    }
+
+    try {
+      const list = await vfs.readdir(dir, {
+        showHiddenFiles: proc.settings.showHiddenFiles
+      });
+
+      // NOTE: This sets a restore argument in the application session
+      proc.args.panePath = dir;
+
+      state.panePath = dir;
+
+      if (typeof history === 'undefined' || history === false) {
+        win.emit('filemanager:pane:historyPush', dir);
+      }
+
+      win.emit('filemanager:pane:readdir', {list, path: dir.path});
+    } catch (error) {
+      dialog('error', error, __('MSG_READDIR_ERROR', dir.path));
+    }
+  };
+
+  const readdir = async (dir, history, selectFile, onError) => {
+    if (win.getState('loading')) {
+      return;
+    } else if (Array.isArray(dir)) {
+      dir = dir[0];
+    }
+
+    try {
+      const message = __('LBL_LOADING', dir.path);
+      const options = {
+        showHiddenFiles: proc.settings.showHiddenFiles
+      };
+
+      win.setState('loading', true);
+      win.emit('filemanager:status', message);
+
+      const list = await vfs.readdir(dir, options);
+
+      // NOTE: This sets a restore argument in the application session
+      proc.args.path = dir;
+
+      state.currentPath = dir;
+
+      if (typeof history === 'undefined' || history === false) {
+        win.emit('filemanager:historyPush', dir);
+      } else if (history ===  'clear') {
+        win.emit('filemanager:historyClear');
+      }
+
+      win.emit('filemanager:readdir', {list, path: dir.path, selectFile});
+      win.emit('filemanager:title', dir.path);
+    } catch (error) {
+      if (typeof onError === 'function') {
+        onError(error);
+      } else {
+        dialog('error', error, __('MSG_READDIR_ERROR', dir.path));
+      }
+    } finally {
+      state.currentFile = [];
+      win.setState('loading', false);
+    }
+  };
+
+  let completionCache = {path: undefined, list: []};
+
+  const complete = async (value) => {
+    const index = value.lastIndexOf('/');
+    if (index === -1) {
+      return getMountpoints()
+        .map(m => m.root)
+        .filter(root => root.toLowerCase().indexOf(value.toLowerCase()) === 0);
+    }
+
+    const parent = value.substr(0, index + 1);
+    const prefix = value.substr(index + 1).toLowerCase();
+
+    if (completionCache.path !== parent) {
+      const list = await vfs.readdir({path: parent}, {
+        showHiddenFiles: proc.settings.showHiddenFiles
+      }).catch(() => []);
+
+      completionCache = {path: parent, list};
+    }
+
+    return completionCache.list
+      .filter(file => file.isDirectory && !isSpecialFile(file.filename))
+      .filter(file => file.filename.toLowerCase().indexOf(prefix) === 0)
+      .map(file => file.path);
+  };
+
+  const upload = (directory = false) => triggerBrowserUpload(files => uploadBrowserFiles(files), directory);
+
+  // A folder cannot be copied or moved into itself or one of its descendants
+  const isIntoItself = ({source, target}) => {
+    const dir = getParentPath(target.path);
+    return !!source.path && (dir === source.path || dir.indexOf(source.path.replace(/\/?$/, '/')) === 0);
+  };
+
+  const transfer = async (move, pairs, callback) => {
+    const invalid = pairs.filter(isIntoItself);
+    if (invalid.length > 0) {
+      dialog('error', new Error(__('MSG_TRANSFER_INTO_ITSELF', invalid[0].source.filename)), __('MSG_PASTE_ERROR'));
+    }
+
+    const entries = await resolveConflicts(pairs.filter(pair => !isIntoItself(pair)), move);
+
+    const tasks = entries.map(entry => createTask(move ? 'move' : 'copy', entry.source, () => transferEntry(move, entry)));
+
+    return transfers.add(tasks)
+      .then(results => {
+        const operations = [].concat(...succeeded(results, results)
+          .filter(({result}) => !!result)
+          .map(({result}) => result));
+
+        if (operations.length > 0) {
+          journal.record(operations);
+        }
+
+        refresh(true);
+
+        if (typeof callback === 'function') {
+          callback();
+        }
+
+        return results;
+      })
+      .catch(error => dialog('error', error, __('MSG_PASTE_ERROR')));
+  };
+
+  const paste = (move, currentPath) => ({items, callback}) => transfer(move, items.map(item => ({
+    source: item,
+    target: {path: pathJoin(currentPath.path, item.filename)}
+  })), callback);
+
+  // Copies items next to themselves, the conflict resolver gives them a unique name
+  const duplicate = items => transfer(false, items.map(item => ({
+    source: item,
+    target: {path: item.path}
+  })));
+
+  const createUniqueFile = async (dir, filename) => {
+    let path = pathJoin(dir.path, filename);
+    let number = 1;
+
+    while (await vfs.exists({path}).catch(() => false)) {
+      path = pathJoin(dir.path, getNumberedFilename(filename, ++number));
+    }
+
+    return {path};
+  };
+
+  const mkdir = (dir = state.currentPath) => createUniqueFile(dir, __('DIALOG_MKDIR_PLACEHOLDER'))
+    .then(target => {
+      win.emit('filemanager:rename:pending', target.path);
+
+      return action(
+        () => vfs.mkdir(target, {pid: proc.pid}),
+        getBasename(target.path),
+        __('MSG_MKDIR_ERROR'),
+        [{type: 'mkdir', to: target}]
+      );
+    });
+
+  // Creates a new file from a template ({filename, content} or {filename, source})
+  const createFile = (template, dir = state.currentPath) => createUniqueFile(dir, template.filename)
+    .then(target => {
+      const filename = getBasename(target.path);
+      const content = template.content || '';
+      const operation = template.source
+        ? {type: 'copy', from: template.source, to: target}
+        : {type: 'create', to: target, content};
+
+      // NOTE: The action reports its own errors, so the file is only opened when it was created
+      return action(
+        () => (template.source
+          ? vfs.copy(template.source, target, {pid: proc.pid})
+          : vfs.writefile(target, new Blob([content]), {pid: proc.pid})).then(() => true),
+        filename,
+        __('MSG_CREATE_ERROR'),
+        [operation]
+      )
+        .then(created => created === true && proc.settings.openNewFiles
+          ? vfs.stat(target).then(file => core.open(file, {useDefault: true}))
+          : undefined);
+    })
+    .catch(error => dialog('error', error, __('MSG_CREATE_ERROR')));
+
+  const rename = (file, filename) => {
+    const newPath = pathJoin(getParentPath(file.path), filename);
+
+    return action(
+      () => vfs.rename(file, {path: newPath}),
+      filename,
+      __('MSG_RENAME_ERROR'),
+      [{type: 'rename', from: {path: file.path}, to: {path: newPath}}]
+    );
+  };
+
+  const compress = (items, filename, dir = state.currentPath) => createUniqueFile(dir, filename.match(/\.zip$/i) ? filename : `${filename}.zip`)
+    .then(target => transfers.add([{
+      type: 'compress',
+      label: getBasename(target.path),
+      run: onProgress => archive.create(items, onProgress)
+        .then(blob => vfs.writefile(target, blob, {pid: proc.pid}))
+    }]).then(([result]) => refresh(result.status === 'done' ? getBasename(target.path) : true)))
+    .catch(error => dialog('error', error, __('MSG_ERROR')));
+
+  const extract = (file, dir = state.currentPath) => transfers.add([{
+    type: 'extract',
+    label: file.filename,
+    total: file.size,
+    run: () => archive.read(file)
+  }])
+    .then(([result]) => result.status === 'done'
+      ? uploadTree(result.result, dir)
+      : undefined)
+    .catch(error => dialog('error', error, __('MSG_EXTRACT_ERROR')));
+
+  const saveBlob = (blob, filename) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  };
+
+  // Folders and multiple files are downloaded as a single zip
+  const download = files => {
+    const items = files.filter(file => !isSpecialFile(file.filename));
+    if (core.config('filemanager.disableDownload', false) === true || !items.length) {
+      return Promise.resolve();
+    } else if (items.length === 1 && !items[0].isDirectory) {
+      return vfs.download(items[0]);
+    }
+
+    const filename = `${items.length === 1 ? items[0].filename : __('LBL_ARCHIVE')}.zip`;
+    const limit = core.config('filemanager.maxArchiveDownloadSize', 100 * 1024 * 1024);
+
+    return transfers.add([{
+      type: 'download',
+      label: filename,
+      run: onProgress => archive.create(items, onProgress, limit)
+        .then(blob => saveBlob(blob, filename))
+    }]);
+  };
+
+  // Items moved into the trash can be brought back with undo
+  const remove = (files, useTrash) => transfers.add(files.map(file => createTask('delete', file, () => useTrash
+    ? trash.trash([file]).then(([operations]) => operations)
+    : trash.remove([file]))))
+    .then(results => {
+      const operations = useTrash
+        ? [].concat(...succeeded(results, results).map(({result}) => result))
+        : [];
+
+      if (operations.length > 0) {
+        journal.record(operations);
+      }
+
+      refresh(true);
+    });
+
+  const undo = () => action(() => journal.undo(), true, __('MSG_UNDO_ERROR'));
+
+  const redo = () => action(() => journal.redo(), true, __('MSG_REDO_ERROR'));
+
+  return {
+    download,
+    undo,
+    redo,
+    remove,
+    mkdir,
+    createFile,
+    rename,
+    compress,
+    extract,
+    dropTo,
+    upload,
+    refresh,
+    action,
+    drop,
+    dropPane,
+    readdir,
+    readdirPane,
+    complete,
+    duplicate,
+    paste
+  };
+};
+
+/**
+ * Search action Factory
+ */
+const searchActionFactory = (core, proc, win, state) => {
+  const vfs = core.make('osjs/vfs');
+  const {translatable} = core.make('osjs/locale');
+  const __ = translatable(translations);
+  const maxDepth = core.config('filemanager.search.maxDepth', 8);
+  const maxEntries = core.config('filemanager.search.maxEntries', 10000);
+  let currentSearch = 0;
+
+  const cancel = () => {
+    currentSearch++;
+  };
+
+  const start = async (root, query) => {
+    const searchId = ++currentSearch;
+    const isCancelled = () => searchId !== currentSearch;
+    const matches = createSearchMatcher(query);
+    const options = {showHiddenFiles: proc.settings.showHiddenFiles};
+    const queue = [{dir: root, depth: 0}];
+    let entries = 0;
+    let found = 0;
+    let truncated = false;
+
+    state.search = query;
+    win.emit('filemanager:search:start');
+
+    while (queue.length > 0 && entries < maxEntries && !isCancelled()) {
+      const {dir, depth} = queue.shift();
+      win.emit('filemanager:status', __('LBL_SEARCHING', dir.path, found));
+
+      let list = [];
+      try {
+        list = await vfs.readdir(dir, options);
+      } catch (e) {
+        console.warn(e);
+      }
+
+      if (isCancelled()) {
+        return;
+      }
+
+      const files = list
+        .filter(file => !isSpecialFile(file.filename))
+        .slice(0, maxEntries - entries);
+
+      const results = files.filter(matches);
+      entries += files.length;
+      found += results.length;
+
+      if (results.length > 0) {
+        win.emit('filemanager:search:results', results);
+      }
+
+      const directories = files.filter(file => file.isDirectory);
+      if (depth < maxDepth) {
+        directories.forEach(file => queue.push({dir: file, depth: depth + 1}));
+      } else if (directories.length > 0) {
+        truncated = true;
+      }
+    }
+
+    if (isCancelled()) {
+      return;
+    }
+
+    const message = queue.length > 0 || truncated ? 'LBL_SEARCH_LIMITED' : 'LBL_SEARCH_DONE';
+    win.emit('filemanager:search:done', __(message, found, entries));
+  };
+
+  const stop = () => {
+    cancel();
+    win.emit('filemanager:search:done', __('LBL_SEARCH_CANCELLED'));
+  };
+
+  return {start, stop, cancel};
+};
+
+/**
+ * Operation journal Factory
+ *
+ * Records performed operations so that they can be reverted
+ * (and re-applied) later on.
+ */
+const journalFactory = (core, proc) => {
+  const vfs = core.make('osjs/vfs');
+  const {translatable} = core.make('osjs/locale');
+  const __ = translatable(translations);
+  const limit = core.config('filemanager.journalLimit', 50);
+  const options = {pid: proc.pid};
+  const undoStack = [];
+  const redoStack = [];
+
+  const exists = file => vfs.exists(file).catch(() => false);
+
+  const isModified = (recorded, current) => !!recorded && !current.isDirectory &&
+    (recorded.size !== current.size || String(recorded.mtime) !== String(current.mtime));
+
+  // Records the state of the targets so that changes can be detected
+  const withStats = operations => Promise.all(operations.map(operation => vfs.stat(operation.to)
+    .then(stat => Object.assign({}, operation, {
+      stat: {size: stat.size, mtime: stat.stat ? stat.stat.mtime : undefined}
+    }))
+    .catch(() => operation)));
+
+  // Checks if a path is freed up or produced by operations that run earlier in the same entry
+  const involves = (path, operations, key) => operations.some(o => o[key] && o[key].path === path);
+
+  const verifyUndo = async (operation, previous = []) => {
+    if (involves(operation.to.path, previous, 'from')) {
+      return;
+    }
+
+    const current = await vfs.stat(operation.to).catch(() => undefined);
+
+    if (!current) {
+      throw new Error(__('MSG_JOURNAL_MISSING', operation.to.path));
+    } else if (isModified(operation.stat, {
+      isDirectory: current.isDirectory,
+      size: current.size,
+      mtime: current.stat ? current.stat.mtime : undefined
+    })) {
+      throw new Error(__('MSG_JOURNAL_MODIFIED', operation.to.path));
+    } else if (operation.from && operation.type !== 'copy' &&
+      !involves(operation.from.path, previous, 'to') && await exists(operation.from)) {
+      throw new Error(__('MSG_JOURNAL_EXISTS', operation.from.path));
+    } else if (operation.type === 'mkdir') {
+      const list = await vfs.readdir(operation.to);
+      if (list.some(file => !isSpecialFile(file.filename))) {
+        throw new Error(__('MSG_JOURNAL_NOT_EMPTY', operation.to.path));
+      }
+    }
+  };
+
+  const verifyRedo = async (operation, previous = []) => {
+    if (operation.from && !involves(operation.from.path, previous, 'to') && !await exists(operation.from)) {
+      throw new Error(__('MSG_JOURNAL_MISSING', operation.from.path));
+    } else if (!involves(operation.to.path, previous, 'from') && await exists(operation.to)) {
+      throw new Error(__('MSG_JOURNAL_EXISTS', operation.to.path));
+    }
+  };
+
+  const revert = operation => ({
+    rename: () => vfs.rename(operation.to, operation.from),
+    move: () => vfs.move(operation.to, operation.from, options),
+    copy: () => vfs.unlink(operation.to, options),
+    create: () => vfs.unlink(operation.to, options),
+    mkdir: () => vfs.unlink(operation.to, options)
+  })[operation.type]();
+
+  const apply = operation => ({
+    rename: () => vfs.rename(operation.from, operation.to),
+    move: () => vfs.move(operation.from, operation.to, options),
+    copy: () => vfs.copy(operation.from, operation.to, options),
+    create: () => vfs.writefile(operation.to, new Blob([operation.content]), options),
+    mkdir: () => vfs.mkdir(operation.to, options)
+  })[operation.type]();
+
+  const push = (stack, operations) => {
+    stack.push(operations);
+    if (stack.length > limit) {
+      stack.shift();
+    }
+  };
+
+  const record = async (operations) => {
+    push(undoStack, await withStats(operations));
+    redoStack.splice(0, redoStack.length);
+  };
+
+  // NOTE: Entries that can no longer be applied are discarded
+  const undo = async () => {
+    const operations = undoStack.pop();
+    if (!operations) {
+      return;
+    }
+
+    const reversed = [...operations].reverse();
+    for (let i = 0; i < reversed.length; i++) {
+      await verifyUndo(reversed[i], reversed.slice(0, i));
+    }
+
+    for (const operation of reversed) {
+      await revert(operation);
+    }
+
+    push(redoStack, operations);
+  };
+
+  const redo = async () => {
+    const operations = redoStack.pop();
+    if (!operations) {
+      return;
+    }
+
+    for (let i = 0; i < operations.length; i++) {
+      await verifyRedo(operations[i], operations.slice(0, i));
+    }
+
+    for (const operation of operations) {
+      await apply(operation);
+    }
+
+    push(undoStack, await withStats(operations));
+  };
+
+  return {
+    record,
+    undo,
+    redo,
+    canUndo: () => undoStack.length > 0,
+    canRedo: () => redoStack.length > 0
+  };
+};
+
+/**
+ * Trash action Factory
+ *
+ * Trashed items are moved into a folder on the same mountpoint, with
+ * a sidecar file describing where the item originated from:
+ *
+ *   <mountpoint>:/.Trash/files/<name>
+ *   <mountpoint>:/.Trash/info/<name>.trashinfo
+ */
+const trashActionFactory = (core, proc) => {
+  const vfs = core.make('osjs/vfs');
+  const fs = core.make('osjs/fs');
+  const {pathJoin} = fs;
+  const {translatable} = core.make('osjs/locale');
+  const __ = translatable(translations);
+  const config = core.config('filemanager.trash', true);
+  const options = {pid: proc.pid};
+  const enabled = config !== false;
+  const folderName = typeof config === 'string' ? config : '.Trash';
+
+  const getTrashPath = path => pathJoin(getRootPath(path), folderName);
+  const getFilesPath = path => pathJoin(getTrashPath(path), 'files');
+  const getInfoPath = path => pathJoin(getTrashPath(path), 'info');
+  const getInfoFile = file => ({
+    path: pathJoin(getInfoPath(file.path), `${file.filename}.trashinfo`)
+  });
+
+  const isTrashed = path => String(path).indexOf(getTrashPath(path) + '/') === 0 ||
+    String(path) === getTrashPath(path);
+
+  const exists = file => vfs.exists(file).catch(() => false);
+
+  const ensureDirectory = async (path) => {
+    if (!await exists({path})) {
+      await vfs.mkdir({path}, options);
+    }
+  };
+
+  // Trashing runs concurrently, so picking a free name and moving the item
+  // there happens one item at a time per trash folder
+  const queues = {};
+  const enqueue = (path, callback) => {
+    const previous = queues[path] || Promise.resolve();
+    const next = previous.catch(() => {}).then(callback);
+    const settled = next.catch(() => {});
+    queues[path] = settled;
+
+    settled.then(() => {
+      if (queues[path] === settled) {
+        delete queues[path];
+      }
+    });
+
+    return next;
+  };
 
-      const result = await promiseCallback();
-      refresh(refreshValue);
-      return result;
-    } catch (error) {
-      dialog('error', error, defaultError || __('MSG_ERROR'));
-    } finally {
-      win.setState('loading', false);
+  const createTarget = async (file) => {
+    const dir = getFilesPath(file.path);
+    let filename = file.filename;
+    let number = 1;
+
+    while (await exists({path: pathJoin(dir, filename)})) {
+      filename = getNumberedFilename(file.filename, ++number);
     }
 
-    return [];
+    return {path: pathJoin(dir, filename), filename};
   };
 
-  const writeRelative = f => {
-    const d = dialog('progress', f);
+  const trashFile = async (file) => {
+    await ensureDirectory(getTrashPath(file.path));
+    await ensureDirectory(getFilesPath(file.path));
+    await ensureDirectory(getInfoPath(file.path));
 
-    return vfs.writefile({
-      path: pathJoin(state.currentPath.path, f.name)
-    }, f, {
-      pid: proc.pid,
-      onProgress: (ev, p) => d.setProgress(p)
-    }).then((result) => {
-      d.destroy();
-      return result;
-    }).catch((error) => {
-      d.destroy();
-      throw error;
+    const info = JSON.stringify({
+      path: file.path,
+      deleted: new Date().toISOString()
     });
-  };
 
-  const uploadBrowserFiles = (files) => {
-    Promise.all(files.map(writeRelative))
-      .then(() => refresh(files[0].name)) // FIXME: Select all ?
-      .catch(error => dialog('error', error, __('MSG_UPLOAD_ERROR')));
-  };
+    const target = await enqueue(getTrashPath(file.path), async () => {
+      const result = await createTarget(file);
+      await vfs.writefile(getInfoFile(result), info, options);
+      await vfs.move(file, result, options);
+      return result;
+    });
 
-  const uploadVirtualFile = (data) => {
-    const dest = {path: pathJoin(state.currentPath.path, data.filename)};
-    if (dest.path !== data.path) {
-      action(() => vfs.copy(data, dest, {pid: proc.pid}), true, __('MSG_UPLOAD_ERROR'));
-    }
+    // The sidecar is recorded before the move so that an undo moves the item back first
+    return [
+      {type: 'create', to: getInfoFile(target), content: info},
+      {type: 'move', from: {path: file.path}, to: {path: target.path}}
+    ];
   };
 
-  const drop = divertDropAction(uploadBrowserFiles, uploadVirtualFile);
+  const readInfo = file => vfs.readfile(getInfoFile(file), 'string')
+    .then(data => JSON.parse(data))
+    .catch(() => ({}));
 
-  const readdir = async (dir, history, selectFile) => {
-    if (win.getState('loading')) {
-      return;
-    } else if (Array.isArray(dir)) {
-      dir = dir[0];
+  const restoreFile = async (file) => {
+    const info = await readInfo(file);
+    if (!info.path) {
+      throw new Error(__('MSG_TRASH_NO_INFO', file.filename));
+    } else if (await exists({path: info.path})) {
+      throw new Error(__('MSG_JOURNAL_EXISTS', info.path));
     }
 
-    try {
-      const message = __('LBL_LOADING', dir.path);
-      const options = {
-        showHiddenFiles: proc.settings.showHiddenFiles
-      };
+    await vfs.move(file, {path: info.path}, options);
+    await vfs.unlink(getInfoFile(file), options).catch(error => console.warn(error));
+  };
 
-      win.setState('loading', true);
-      win.emit('filemanager:status', message);
+  const removeFile = async (file) => {
+    await vfs.unlink(file, options);
 
-      const list = await vfs.readdir(dir, options);
+    if (getParentPath(file.path) === getFilesPath(file.path)) {
+      await vfs.unlink(getInfoFile(file), options).catch(error => console.warn(error));
+    }
+  };
 
-      // NOTE: This sets a restore argument in the application session
-      proc.args.path = dir;
+  const getTrashFolders = () => fs.mountpoints(true)
+    .map(m => ({path: getTrashPath(m.root)}));
+
+  const list = async () => {
+    const lists = await Promise.all(getTrashFolders().map(dir => {
+      return vfs.readdir({path: pathJoin(dir.path, 'files')}, {showHiddenFiles: true})
+        .then(files => Promise.all(files
+          .filter(file => !isSpecialFile(file.filename))
+          .map(file => readInfo(file)
+            .then(info => Object.assign({}, file, {
+              trash: {
+                path: info.path || file.path,
+                deleted: info.deleted
+              }
+            })))))
+        .catch(() => []);
+    }));
+
+    return [].concat(...lists);
+  };
 
-      state.currentPath = dir;
+  const empty = () => Promise.all(getTrashFolders().map(dir => exists(dir)
+    .then(found => found ? vfs.unlink(dir, options) : undefined)));
 
-      if (typeof history === 'undefined' || history === false) {
-        win.emit('filemanager:historyPush', dir);
-      } else if (history ===  'clear') {
-        win.emit('filemanager:historyClear');
-      }
+  return {
+    enabled,
+    isTrashed,
+    list,
+    empty,
+    trash: files => Promise.all(files.map(trashFile)),
+    restore: files => Promise.all(files.map(restoreFile)),
+    remove: files => Promise.all(files.map(removeFile))
+  };
+};
 
-      win.emit('filemanager:readdir', {list, path: dir.path, selectFile});
-      win.emit('filemanager:title', dir.path);
-    } catch (error) {
-      dialog('error', error, __('MSG_READDIR_ERROR', dir.path));
-    } finally {
-      state.currentFile = [];
-      win.setState('loading', false);
+/**
+ * Recent locations and files action Factory
+ */
+const recentActionFactory = (core, proc) => {
+  const vfs = core.make('osjs/vfs');
+  const {translatable} = core.make('osjs/locale');
+  const __ = translatable(translations);
+  const limit = core.config('filemanager.recentLimit', 10);
+  const keys = ['recentDirectories', 'recentFiles'];
+  const getEntries = key => proc.settings[key] || [];
+  const save = (key, value) => proc.emit('filemanager:setting:silent', key, value);
+
+  // Settings are only written when the list actually changes
+  const push = (key, entries) => {
+    const current = getEntries(key);
+    const paths = entries.map(entry => entry.path);
+    const updated = [
+      ...entries,
+      ...current.filter(entry => paths.indexOf(entry.path) === -1)
+    ].slice(0, limit);
+
+    if (updated.length !== current.length || updated.some((entry, index) => entry.path !== current[index].path)) {
+      save(key, updated);
     }
   };
 
-  const upload = () => triggerBrowserUpload(files => {
-    writeRelative(files[0])
-      .then(() => refresh(files[0].name))
-      .catch(error => dialog('error', error, __('MSG_UPLOAD_ERROR')));
+  const prune = paths => keys.forEach(key => {
+    const entries = getEntries(key);
+    const existing = entries.filter(entry => paths.indexOf(entry.path) === -1);
+
+    if (existing.length !== entries.length) {
+      save(key, existing);
+    }
   });
 
-  const paste = (move, currentPath) => ({items, callback}) => {
-    const promises = items.map(item => {
-      const dest = {
-        path: pathJoin(currentPath.path, item.filename)
-      };
+  // Stats all entries and prunes the ones that no longer exist
+  const check = async (key) => {
+    const entries = getEntries(key);
+    const results = await Promise.all(entries.map(entry => vfs.stat({path: entry.path})
+      .then(stat => Object.assign({}, entry, stat, {path: entry.path}))
+      .catch(() => undefined)));
 
-      return move
-        ? vfs.move(item, dest, {pid: proc.pid})
-        : vfs.copy(item, dest, {pid: proc.pid});
+    prune(entries.filter((entry, index) => !results[index]).map(entry => entry.path));
+
+    return results.filter(result => !!result);
+  };
+
+  // Stats a single entry when it is opened, and prunes it if it no longer exists
+  const resolve = entry => vfs.stat({path: entry.path})
+    .then(stat => Object.assign({}, entry, stat, {path: entry.path}))
+    .catch(() => {
+      prune([entry.path]);
+      throw new Error(__('MSG_RECENT_MISSING', entry.path));
     });
 
-    return Promise
-      .all(promises)
-      .then(results => {
-        refresh(true);
+  const entries = () => ({
+    directories: getEntries('recentDirectories'),
+    files: getEntries('recentFiles')
+  });
 
-        if (typeof callback === 'function') {
-          callback();
-        }
+  const addDirectory = dir => push('recentDirectories', [{path: dir.path}]);
 
-        return results;
-      })
-      .catch(error => dialog('error', error, __('MSG_PASTE_ERROR')));
-  };
+  const addFiles = files => push('recentFiles', files.map(({path, filename, mime}) => ({path, filename, mime})));
 
-  return {
-    download: files => files.forEach(file => vfs.download(file)),
-    upload,
-    refresh,
-    action,
-    drop,
-    readdir,
-    paste
-  };
+  const list = () => Promise.all([
+    check('recentDirectories'),
+    check('recentFiles')
+  ]).then(([directories, files]) => ({directories, files}));
+
+  return {addDirectory, addFiles, list, entries, resolve};
 };
 
 /**
@@ -433,9 +3345,8 @@ const clipboardActionFactory = (core, state, vfs) => {
 /**
  * Dialog Factory
  */
-const dialogFactory = (core, proc, win) => {
+const dialogFactory = (core, proc, win, trash) => {
   const vfs = core.make('osjs/vfs');
-  const {pathJoin} = core.make('osjs/fs');
   const {translatable} = core.make('osjs/locale');
   const __ = translatable(translations);
 
@@ -444,17 +3355,10 @@ const dialogFactory = (core, proc, win) => {
     attributes: {modal}
   }, cb);
 
-  const mkdirDialog = (action, currentPath) => dialog('prompt', {
-    message: __('DIALOG_MKDIR_MESSAGE'),
-    value: __('DIALOG_MKDIR_PLACEHOLDER')
-  }, usingPositiveButton(value => {
-    const newPath = pathJoin(currentPath.path, value);
-    action(
-      () => vfs.mkdir({path: newPath}, {pid: proc.pid}),
-      value,
-      __('MSG_MKDIR_ERROR')
-    );
-  }));
+  const compressDialog = (compress, files) => dialog('prompt', {
+    message: __('DIALOG_COMPRESS_MESSAGE', files.length),
+    value: `${files.length === 1 ? files[0].filename : __('LBL_ARCHIVE')}.zip`
+  }, usingPositiveButton(value => compress(files, value)));
 
   const renameDialog = (action, files) => files.forEach(file =>
     dialog('prompt', {
@@ -464,26 +3368,29 @@ const dialogFactory = (core, proc, win) => {
       const idx = file.path.lastIndexOf(file.filename);
       const newPath = file.path.substr(0, idx) + value;
 
-      action(() => vfs.rename(file, {path: newPath}), value, __('MSG_RENAME_ERROR'));
+      action(
+        () => vfs.rename(file, {path: newPath}),
+        value,
+        __('MSG_RENAME_ERROR'),
+        [{type: 'rename', from: {path: file.path}, to: {path: newPath}}]
+      );
     })));
 
-  const deleteDialog = (action, files) => dialog('confirm', {
-    message: __('DIALOG_DELETE_MESSAGE', files.length),
+  const deleteDialog = (remove, files, permanently = false) => {
+    const useTrash = trash.enabled && !permanently &&
+      !files.some(file => trash.isTrashed(file.path));
+
+    return dialog('confirm', {
+      message: __(useTrash ? 'DIALOG_TRASH_MESSAGE' : 'DIALOG_DELETE_MESSAGE', files.length),
+    }, usingPositiveButton(() => remove(files, useTrash)));
+  };
+
+  const emptyTrashDialog = (action) => dialog('confirm', {
+    message: __('DIALOG_EMPTY_TRASH_MESSAGE')
   }, usingPositiveButton(() => {
-    action(
-      () => Promise.all(
-        files.map(file => vfs.unlink(file, {pid: proc.pid}))
-      ),
-      true,
-      __('MSG_DELETE_ERROR')
-    );
+    action(() => trash.empty(), true, __('MSG_DELETE_ERROR'));
   }));
 
-  const progressDialog = (file) => dialog('progress', {
-    message: __('DIALOG_PROGRESS_MESSAGE', file.name),
-    buttons: []
-  }, () => {}, false);
-
   const errorDialog = (error, message) => dialog('alert', {
     type: 'error',
     error,
@@ -491,10 +3398,10 @@ const dialogFactory = (core, proc, win) => {
   }, () => {});
 
   const dialogs = {
-    mkdir: mkdirDialog,
     rename: renameDialog,
     delete: deleteDialog,
-    progress: progressDialog,
+    emptyTrash: emptyTrashDialog,
+    compress: compressDialog,
     error: errorDialog
   };
 
@@ -510,8 +3417,10 @@ const dialogFactory = (core, proc, win) => {
 /**
  * Creates Menus
  */
-const menuFactory = (core, proc, win) => {
+const menuFactory = (core, proc, win, recent, journal, thumbnails) => {
+  const keybindings = createKeybindings(core);
   const fs = core.make('osjs/fs');
+  const vfs = core.make('osjs/vfs');
   const clipboard = core.make('osjs/clipboard');
   const contextmenu = core.make('osjs/contextmenu');
   const {translate: _, translatable} = core.make('osjs/locale');
@@ -536,16 +3445,84 @@ const menuFactory = (core, proc, win) => {
     return [].concat(...result);
   };
 
-  const createFileMenu = () => ([
+  // The user templates folder is read once, and again after a manual refresh
+  let userTemplates;
+  const readUserTemplates = () => {
+    const path = core.config('filemanager.templatesPath', 'home:/.templates');
+    if (!userTemplates) {
+      userTemplates = path
+        ? vfs.readdir({path}, {showHiddenFiles: false}).catch(() => [])
+        : Promise.resolve([]);
+    }
+
+    return userTemplates;
+  };
+
+  win.on('filemanager:menu:refresh', () => (userTemplates = undefined));
+
+  // Templates from the configuration and the user templates folder
+  const createTemplateMenu = async () => {
+    const configured = core.config('filemanager.templates') ||
+      defaultTemplates.map(template => Object.assign({}, template, {label: __(template.label)}));
+    const files = await readUserTemplates();
+
+    return [
+      ...configured,
+      ...files
+        .filter(file => file.isFile)
+        .map(file => ({label: file.filename, filename: file.filename, source: {path: file.path}}))
+    ].map(template => ({
+      label: template.label || template.filename,
+      onclick: () => win.emit('filemanager:menu:newFile', template)
+    }));
+  };
+
+  const createNewMenu = async () => {
+    const templates = await createTemplateMenu();
+
+    return [
+      {label: __('LBL_NEW_EMPTY_FILE'), onclick: () => win.emit('filemanager:menu:newFile', {filename: __('LBL_NEW_FILE_NAME'), content: ''})},
+      {label: __('LBL_NEW_FOLDER'), shortcut: 'mkdir', onclick: () => win.emit('filemanager:menu:mkdir')},
+      ...(templates.length > 0 ? [{type: 'separator'}, ...templates] : []),
+      {type: 'separator'},
+      {label: __('LBL_OPEN_NEW_FILES'), checked: !!proc.settings.openNewFiles, onclick: () => win.emit('filemanager:menu:openNewFiles')}
+    ];
+  };
+
+  const createFileMenu = async () => ([
+    {label: __('LBL_NEW'), items: await createNewMenu()},
     {label: _('LBL_UPLOAD'), onclick: () => win.emit('filemanager:menu:upload')},
-    {label: _('LBL_MKDIR'), onclick: () => win.emit('filemanager:menu:mkdir')},
+    {label: __('LBL_UPLOAD_FOLDER'), onclick: () => win.emit('filemanager:menu:uploadFolder')},
+    {label: __('LBL_NEW_TAB'), shortcut: 'newTab', onclick: () => win.emit('filemanager:tab:open')},
+    {label: __('LBL_CLOSE_TAB'), shortcut: 'closeTab', onclick: () => win.emit('filemanager:tab:close')},
+    {label: __('LBL_SEARCH'), onclick: () => win.emit('filemanager:menu:search')},
     {label: _('LBL_QUIT'), onclick: () => win.emit('filemanager:menu:quit')}
   ]);
 
+  const createTrashMenu = (items) => [{
+    label: __('LBL_RESTORE'),
+    disabled: !items.length,
+    onclick: () => win.emit('filemanager:trash:restore', items)
+  }, {
+    label: __('LBL_DELETE_PERMANENTLY'),
+    shortcut: 'deletePermanently',
+    disabled: !items.length,
+    onclick: () => win.emit('filemanager:menu:deletePermanently', items)
+  }, {
+    type: 'separator'
+  }, {
+    label: __('LBL_EMPTY_TRASH'),
+    onclick: () => win.emit('filemanager:trash:empty')
+  }];
+
   const createEditMenu = async (items, isContextMenu) => {
     const emitter = name => win.emit(name, items);
     const item = items[items.length - 1];
 
+    if (items.length > 0 && items.every(item => item.trash)) {
+      return createTrashMenu(items);
+    }
+
     if (items.length === 1 && item && isSpecialFile(item.filename)) {
       return [{
         label: _('LBL_GO'),
@@ -553,18 +3530,22 @@ const menuFactory = (core, proc, win) => {
       }];
     }
 
-    const canDownload = items.some(
-      item => !item.isDirectory && !isSpecialFile(item.filename)
-    );
+    const canDownload = items.some(item => !isSpecialFile(item.filename));
     const hasValidFile = items.some(item => !isSpecialFile(item.filename));
     const isDirectory = items.length === 1 && item.isDirectory;
 
     const openMenu = isDirectory ? [{
       label: _('LBL_GO'),
+      shortcut: 'open',
       disabled: !items.length,
       onclick: () => emitter('filemanager:navigate')
+    }, {
+      label: __('LBL_OPEN_IN_NEW_TAB'),
+      disabled: !items.length,
+      onclick: () => emitter('filemanager:tab:open')
     }] : [{
       label: _('LBL_OPEN'),
+      shortcut: 'open',
       disabled: !items.length,
       onclick: () => emitter('filemanager:open')
     }, {
@@ -575,22 +3556,96 @@ const menuFactory = (core, proc, win) => {
 
     const clipboardMenu = [{
       label: _('LBL_COPY'),
+      shortcut: 'copy',
       disabled: !hasValidFile,
       onclick: () => emitter('filemanager:menu:copy')
     }, {
       label: _('LBL_CUT'),
+      shortcut: 'cut',
       disabled: !hasValidFile,
       onclick: () => emitter('filemanager:menu:cut')
+    }, {
+      label: __('LBL_DUPLICATE'),
+      shortcut: 'duplicate',
+      disabled: !hasValidFile,
+      onclick: () => emitter('filemanager:menu:duplicate')
+    }, {
+      label: __('LBL_COPY_TO'),
+      disabled: !hasValidFile,
+      onclick: () => emitter('filemanager:menu:copyTo')
+    }, {
+      label: __('LBL_MOVE_TO'),
+      disabled: !hasValidFile,
+      onclick: () => emitter('filemanager:menu:moveTo')
     }];
 
+    if (proc.settings.dualPane) {
+      clipboardMenu.push({
+        label: __('LBL_COPY_TO_PANE'),
+        disabled: !hasValidFile,
+        onclick: () => emitter('filemanager:menu:copyToPane')
+      }, {
+        label: __('LBL_MOVE_TO_PANE'),
+        disabled: !hasValidFile,
+        onclick: () => emitter('filemanager:menu:moveToPane')
+      });
+    }
+
+    if (isDirectory && !isSpecialFile(item.filename)) {
+      clipboardMenu.push({
+        label: __('LBL_ADD_FAVORITE'),
+        onclick: () => emitter('filemanager:favorites:add')
+      });
+    }
+
     if (!isContextMenu) {
+      clipboardMenu.unshift({
+        label: __('LBL_UNDO'),
+        shortcut: 'undo',
+        disabled: !journal.canUndo(),
+        onclick: () => win.emit('filemanager:menu:undo')
+      }, {
+        label: __('LBL_REDO'),
+        shortcut: 'redo',
+        disabled: !journal.canRedo(),
+        onclick: () => win.emit('filemanager:menu:redo')
+      });
+
       clipboardMenu.push({
         label: _('LBL_PASTE'),
+        shortcut: 'paste',
         disabled: !clipboard.has(/^filemanager:/),
         onclick: () => emitter('filemanager:menu:paste')
+      }, {
+        label: __('LBL_SELECT_ALL'),
+        shortcut: 'selectAll',
+        onclick: () => win.emit('filemanager:menu:selectAll')
       });
     }
 
+    const archiveMenu = [{
+      label: __('LBL_COMPRESS'),
+      disabled: !hasValidFile,
+      onclick: () => emitter('filemanager:menu:compress')
+    }];
+
+    if (items.length === 1 && !item.isDirectory && isArchiveFile(item.filename)) {
+      archiveMenu.push({
+        label: __('LBL_EXTRACT_HERE'),
+        onclick: () => emitter('filemanager:menu:extract')
+      }, {
+        label: __('LBL_EXTRACT_TO'),
+        onclick: () => emitter('filemanager:menu:extractTo')
+      });
+    }
+
+    const deleteMenu = core.config('filemanager.trash', true) !== false ? [{
+      label: __('LBL_DELETE_PERMANENTLY'),
+      shortcut: 'deletePermanently',
+      disabled: !hasValidFile,
+      onclick: () => emitter('filemanager:menu:deletePermanently')
+    }] : [];
+
     const appendItems = await menuItemsFromMiddleware('edit', {file: item, isContextMenu});
     const configuredItems = [];
 
@@ -606,44 +3661,176 @@ const menuFactory = (core, proc, win) => {
       ...openMenu,
       {
         label: _('LBL_RENAME'),
+        shortcut: 'rename',
         disabled: !hasValidFile,
         onclick: () => emitter('filemanager:menu:rename')
       },
       {
         label: _('LBL_DELETE'),
+        shortcut: 'delete',
         disabled: !hasValidFile,
         onclick: () => emitter('filemanager:menu:delete')
       },
+      ...deleteMenu,
       ...clipboardMenu,
       ...configuredItems,
-      ...appendItems
+      ...archiveMenu,
+      ...appendItems,
+      {
+        label: __('LBL_PROPERTIES'),
+        shortcut: 'properties',
+        disabled: !hasValidFile,
+        onclick: () => emitter('filemanager:menu:properties')
+      }
     ];
   };
 
+  const createSortMenu = () => ([
+    {label: _('LBL_NAME'), value: 'filename'},
+    {label: __('LBL_DATE'), value: 'date'},
+    {label: _('LBL_TYPE'), value: 'mime'},
+    {label: _('LBL_SIZE'), value: 'size'}
+  ].map(({label, value}) => ({
+    label,
+    checked: proc.settings.sortBy === value,
+    onclick: () => win.emit('filemanager:menu:sort', value)
+  })));
+
+  const createThumbnailSizeMenu = () => [1, 5, 10, 25, 50]
+    .map(megabytes => megabytes * 1024 * 1024)
+    .map(size => ({
+      label: formatFileSize(size),
+      checked: proc.settings.thumbnailMaxSize === size,
+      onclick: () => win.emit('filemanager:menu:thumbnailMaxSize', size)
+    }));
+
   const createViewMenu = (state) => ([
-    {label: _('LBL_REFRESH'), onclick: () => win.emit('filemanager:menu:refresh')},
+    {label: _('LBL_REFRESH'), shortcut: 'refresh', onclick: () => win.emit('filemanager:menu:refresh')},
+    {label: __('LBL_SORT_BY'), items: createSortMenu()},
+    {label: __('LBL_SORT_FOLDERS_FIRST'), checked: proc.settings.sortFoldersFirst, onclick: () => win.emit('filemanager:menu:sortFoldersFirst')},
+    {label: __('LBL_SORT_NATURAL'), checked: proc.settings.sortNatural, onclick: () => win.emit('filemanager:menu:sortNatural')},
+    {label: __('LBL_VIEW_LIST'), checked: proc.settings.viewMode === 'list', onclick: () => win.emit('filemanager:menu:viewMode', 'list')},
+    {label: __('LBL_VIEW_ICONS'), checked: proc.settings.viewMode === 'icons', onclick: () => win.emit('filemanager:menu:viewMode', 'icons')},
+    {label: __('LBL_VIEW_COMPACT_ICONS'), checked: proc.settings.viewMode === 'compact', onclick: () => win.emit('filemanager:menu:viewMode', 'compact')},
     {label: __('LBL_MINIMALISTIC'), checked: state.minimalistic, onclick: () => win.emit('filemanager:menu:toggleMinimalistic')},
+    {label: __('LBL_DUAL_PANE'), checked: proc.settings.dualPane, onclick: () => win.emit('filemanager:menu:dualPane')},
     {label: __('LBL_SHOW_DATE'), checked: proc.settings.showDate, onclick: () => win.emit('filemanager:menu:showDate')},
+    {label: __('LBL_SHOW_PREVIEW'), checked: proc.settings.showPreview, onclick: () => win.emit('filemanager:menu:showPreview')},
+    {label: __('LBL_SHOW_THUMBNAILS'), checked: thumbnails.isEnabled(state.path), onclick: () => win.emit('filemanager:menu:thumbnails', state.path)},
+    {label: __('LBL_THUMBNAIL_MAX_SIZE'), items: createThumbnailSizeMenu()},
     {label: __('LBL_SHOW_HIDDEN_FILES'), checked: proc.settings.showHiddenFiles, onclick: () => win.emit('filemanager:menu:showHidden')}
   ]);
 
-  const createGoMenu = () => getMountpoints().map(m => ({
-    label: m.label,
-    icon: m.icon,
-    onclick: () => win.emit('filemanager:navigate', {path: m.root})
-  }));
+  // Entries are validated when they are opened
+  const createRecentMenu = () => {
+    const {directories, files} = recent.entries();
+    const items = [
+      ...directories.map(dir => ({
+        label: dir.path,
+        onclick: () => win.emit('filemanager:recent:open', dir)
+      })),
+      ...files.map(file => ({
+        label: file.path,
+        icon: fs.icon(file),
+        onclick: () => win.emit('filemanager:recent:open', file)
+      }))
+    ];
+
+    return items.length > 0
+      ? items
+      : [{label: __('LBL_NO_RECENT'), disabled: true}];
+  };
+
+  const createGoMenu = () => [
+    {label: _('LBL_BACK'), shortcut: 'back', onclick: () => win.emit('filemanager:menu:back')},
+    {label: _('LBL_FORWARD'), shortcut: 'forward', onclick: () => win.emit('filemanager:menu:forward')},
+    {label: __('LBL_PARENT_DIRECTORY'), shortcut: 'parent', onclick: () => win.emit('filemanager:menu:parent')},
+    {label: __('LBL_FOCUS_PATH'), shortcut: 'focusPath', onclick: () => win.emit('filemanager:menu:focusPath')},
+    {type: 'separator'},
+    {label: __('LBL_RECENT'), items: createRecentMenu()},
+    ...getMountpoints().map(m => ({
+      label: m.label,
+      icon: m.icon,
+      onclick: () => win.emit('filemanager:navigate', {path: m.root})
+    }))
+  ];
+
+  const createFavoriteMenu = (favorite) => {
+    const favorites = proc.settings.favorites || [];
+    const index = favorites.findIndex(f => f.path === favorite.path);
+
+    return [{
+      label: _('LBL_GO'),
+      onclick: () => win.emit('filemanager:navigate', {path: favorite.path})
+    }, {
+      label: __('LBL_OPEN_IN_NEW_TAB'),
+      onclick: () => win.emit('filemanager:tab:open', [{path: favorite.path, isDirectory: true}])
+    }, {
+      label: __('LBL_MOVE_UP'),
+      disabled: index <= 0,
+      onclick: () => win.emit('filemanager:favorites:move', favorite.path, -1)
+    }, {
+      label: __('LBL_MOVE_DOWN'),
+      disabled: index === -1 || index >= favorites.length - 1,
+      onclick: () => win.emit('filemanager:favorites:move', favorite.path, 1)
+    }, {
+      label: __('LBL_REMOVE_FAVORITE'),
+      onclick: () => win.emit('filemanager:favorites:remove', favorite.path)
+    }];
+  };
+
+  const createSiblingsMenu = async (path) => {
+    const navigate = dir => () => win.emit('filemanager:navigate', {path: dir});
+
+    if (isRootPath(path)) {
+      return getMountpoints().map(m => ({
+        label: m.label,
+        icon: m.icon,
+        checked: m.root === path,
+        onclick: navigate(m.root)
+      }));
+    }
+
+    const list = await vfs.readdir({path: getParentPath(path)}, {
+      showHiddenFiles: proc.settings.showHiddenFiles
+    }).catch(() => []);
+
+    return list
+      .filter(file => file.isDirectory && !isSpecialFile(file.filename))
+      .sort(createFileSorter(proc.settings))
+      .map(file => ({
+        label: file.filename,
+        checked: file.path === path,
+        onclick: navigate(file.path)
+      }));
+  };
 
   const menuItems = {
     file: createFileMenu,
     edit: createEditMenu,
     view: createViewMenu,
-    go: createGoMenu
+    go: createGoMenu,
+    siblings: createSiblingsMenu,
+    favorite: createFavoriteMenu,
+    trash: createTrashMenu
   };
 
+  // Appends the configured shortcut to menu entry labels
+  const withShortcuts = items => items.map(item => {
+    const [shortcut] = item.shortcut ? getShortcuts(keybindings[item.shortcut]) : [];
+
+    return Object.assign({}, item, {
+      label: shortcut
+        ? [item.label, h('span', {class: 'osjs-filemanager-shortcut'}, formatShortcut(shortcut))]
+        : item.label,
+      items: item.items ? withShortcuts(item.items) : undefined
+    });
+  });
+
   return async ({name, ev}, args, isContextMenu = false) => {
     if (menuItems[name]) {
       contextmenu.show({
-        menu: await menuItems[name](args, isContextMenu),
+        menu: withShortcuts(await menuItems[name](args, isContextMenu)),
         position: isContextMenu ? ev : ev.target
       });
     } else {
@@ -657,16 +3844,367 @@ const menuFactory = (core, proc, win) => {
  */
 const createView = (core, proc, win) => {
   const {icon} = core.make('osjs/theme');
-  const {translate: _} = core.make('osjs/locale');
+  const {translate: _, translatable} = core.make('osjs/locale');
+  const __ = translatable(translations);
+
+  const onMenuClick = (name, args) => ev => win.emit('filemanager:menu', {ev, name}, args);
+  const isThumbnailEnabled = createThumbnailChecker(core, proc);
+  const autocompleteId = `osjs-filemanager-autocomplete-${win.wid}`;
+
+  const canGoBack = ({list, index}) => !list.length || index <= 0;
+  const canGoForward = ({list, index}) => !list.length || (index === list.length - 1);
+
+  const SearchBar = ({search}, actions) => {
+    const field = (name, placeholder, props = {}) => h(TextField, Object.assign({
+      value: search.query[name],
+      placeholder,
+      box: {grow: 1, shrink: 1, basis: '5em'},
+      oninput: (ev, value) => actions.search.setQuery({[name]: value}),
+      onenter: () => win.emit('filemanager:search', search.query)
+    }, props));
+
+    return h(Toolbar, {class: 'osjs-filemanager-search'}, [
+      field('name', __('LBL_SEARCH_NAME'), {box: {grow: 2, shrink: 1, basis: '8em'}}),
+      field('mime', _('LBL_TYPE')),
+      field('minSize', __('LBL_SEARCH_MIN_SIZE')),
+      field('maxSize', __('LBL_SEARCH_MAX_SIZE')),
+      field('after', __('LBL_SEARCH_AFTER'), {type: 'date'}),
+      field('before', __('LBL_SEARCH_BEFORE'), {type: 'date'}),
+      search.running
+        ? h(Button, {
+          label: _('LBL_CANCEL'),
+          onclick: () => win.emit('filemanager:search:cancel')
+        })
+        : h(Button, {
+          label: __('LBL_SEARCH'),
+          onclick: () => win.emit('filemanager:search', search.query)
+        })
+    ]);
+  };
+
+  const formatDuration = seconds => {
+    const s = Math.ceil(seconds);
+    return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+  };
+
+  const transferInfo = item => {
+    if (item.status === 'failed') {
+      return item.error;
+    } else if (item.status !== 'running') {
+      return __(`LBL_TRANSFER_${item.status.toUpperCase()}`);
+    } else if (!item.loaded) {
+      return __('LBL_TRANSFER_RUNNING');
+    }
+
+    return [
+      item.total ? `${formatFileSize(item.loaded)} / ${formatFileSize(item.total)}` : formatFileSize(item.loaded),
+      `${formatFileSize(Math.round(item.speed))}/s`,
+      typeof item.eta === 'number' ? __('LBL_TRANSFER_ETA', formatDuration(item.eta)) : null
+    ].filter(s => !!s).join(', ');
+  };
+
+  const transferButton = (label, event, item) => h(Button, {
+    label,
+    onclick: () => win.emit(`filemanager:transfer:${event}`, item.id)
+  });
+
+  const transferButtons = item => ({
+    queued: [transferButton(__('LBL_TRANSFER_PAUSE'), 'pause', item), transferButton(_('LBL_CANCEL'), 'cancel', item)],
+    paused: [transferButton(__('LBL_TRANSFER_RESUME'), 'resume', item), transferButton(_('LBL_CANCEL'), 'cancel', item)],
+    failed: [transferButton(__('LBL_TRANSFER_RETRY'), 'retry', item)],
+    cancelled: [transferButton(__('LBL_TRANSFER_RETRY'), 'retry', item)]
+  })[item.status] || [];
+
+  // Progress of all items (finished ones included) by size or count
+  const overallProgress = items => {
+    const list = items.filter(item => item.status !== 'cancelled');
+    const total = list.reduce((sum, item) => sum + (item.total || 0), 0);
+    const loaded = list.reduce((sum, item) => sum + (item.status === 'done' ? item.total || 0 : item.loaded || 0), 0);
+
+    return total > 0
+      ? Math.round(100 * loaded / total)
+      : Math.round(100 * list.filter(item => item.status === 'done').length / Math.max(1, list.length));
+  };
+
+  const TransferPanel = ({transfers}, actions) => {
+    const {items, summary, collapsed} = transfers;
+    if (!items.length && !summary) {
+      return null;
+    }
+
+    const active = items.filter(item => ['queued', 'running', 'paused'].indexOf(item.status) !== -1);
+    const counts = (summary || ['done', 'failed', 'cancelled']
+      .map(status => [status, items.filter(item => item.status === status).length]))
+      .map(([, count]) => count);
+
+    const title = active.length > 0
+      ? __('LBL_TRANSFERS_ACTIVE', active.length, items.length)
+      : __('LBL_TRANSFERS_SUMMARY', ...counts);
+
+    return h('div', {
+      class: 'osjs-filemanager-transfers' + (collapsed ? ' osjs__collapsed' : '')
+    }, [
+      h('div', {class: 'osjs__header'}, [
+        h('span', {
+          class: 'osjs__title',
+          onclick: () => actions.transfers.toggle()
+        }, [collapsed ? '\u25B6 ' : '\u25BC ', title]),
+        active.length > 0 ? h(Progressbar, {value: overallProgress(items)}) : null,
+        h(Button, {
+          label: __('LBL_TRANSFERS_CLEAR'),
+          onclick: () => win.emit('filemanager:transfer:clear')
+        })
+      ]),
+      collapsed ? null : h('ul', {}, items.map(item => h('li', {
+        key: item.id,
+        class: `osjs__${item.status}`
+      }, [
+        h('span', {class: 'osjs__label', title: item.label}, `${__(`LBL_TRANSFER_TYPE_${item.type.toUpperCase()}`)}: ${item.label}`),
+        h(Progressbar, {
+          value: item.total ? Math.round(100 * item.loaded / item.total) : (item.status === 'done' ? 100 : 0)
+        }),
+        h('span', {class: 'osjs__info', title: item.error || ''}, transferInfo(item)),
+        ...transferButtons(item)
+      ])))
+    ]);
+  };
+
+  const PathBar = ({path, pathbar}, actions) => {
+    if (pathbar.editing) {
+      return h('div', {
+        class: 'osjs-filemanager-pathbar' + (pathbar.error ? ' osjs__error' : ''),
+        title: pathbar.error || ''
+      }, [
+        h(TextField, {
+          value: pathbar.value,
+          list: autocompleteId,
+          box: {grow: 1, shrink: 1},
+          oncreate: el => {
+            el.focus();
+            el.select();
+          },
+          oninput: (ev, value) => {
+            actions.pathbar.setValue(value);
+            win.emit('filemanager:pathbar:complete', value);
+          },
+          onkeydown: ev => {
+            if (ev.keyCode === 13) {
+              win.emit('filemanager:pathbar:navigate', ev.target.value);
+            } else if (ev.keyCode === 27) {
+              actions.pathbar.cancel();
+            }
+          },
+          onblur: () => actions.pathbar.cancel()
+        }),
+        h('datalist', {id: autocompleteId}, pathbar.suggestions
+          .map(suggestion => h('option', {value: suggestion}))),
+        pathbar.error ? h('span', {class: 'osjs__message'}, pathbar.error) : null
+      ]);
+    }
+
+    const segments = getPathSegments(path);
+
+    return h('div', {
+      class: 'osjs-filemanager-pathbar osjs-filemanager-breadcrumb',
+      title: path
+    }, [
+      ...segments.map(segment => [
+        h('span', {
+          class: 'osjs__segment',
+          onclick: () => win.emit('filemanager:navigate', {path: segment.path})
+        }, segment.label),
+        h('span', {
+          class: 'osjs__arrow',
+          onclick: ev => win.emit('filemanager:menu', {ev, name: 'siblings'}, segment.path)
+        }, '\u25B8')
+      ]),
+      h('span', {
+        class: 'osjs__fill',
+        onclick: () => actions.pathbar.edit(path)
+      })
+    ]);
+  };
+
+  const TabBar = ({tabs, path}, actions) => h('div', {
+    class: 'osjs-filemanager-tabs'
+  }, [
+    ...tabs.list.map((tab, index) => {
+      const active = index === tabs.index;
+      const tabPath = active ? path : tab.path.path;
+
+      return h('div', {
+        key: tab.id,
+        title: tabPath,
+        class: 'osjs-filemanager-tab' + (active ? ' osjs__active' : ''),
+        onclick: () => actions.selectTab(index),
+        onmouseup: ev => ev.button === 1 && actions.closeTab(index)
+      }, [
+        h('span', {class: 'osjs__label'}, getBasename(tabPath)),
+        h('span', {
+          class: 'osjs__close',
+          title: __('LBL_CLOSE_TAB'),
+          onclick: ev => {
+            ev.stopPropagation();
+            actions.closeTab(index);
+          }
+        }, '\u00D7')
+      ]);
+    }),
+    h('div', {
+      class: 'osjs-filemanager-tab osjs__new',
+      title: __('LBL_NEW_TAB'),
+      onclick: () => win.emit('filemanager:tab:open')
+    }, '+')
+  ]);
+
+  const formatDate = createDateFormatter(core);
+
+  const previewContent = preview => {
+    if (preview.loading) {
+      return h('div', {class: 'osjs__message'}, __('LBL_PREVIEW_LOADING'));
+    } else if (preview.error) {
+      return h('div', {class: 'osjs__message osjs__error'}, preview.error);
+    } else if (preview.tooLarge) {
+      return h('div', {class: 'osjs__message'}, __('LBL_PREVIEW_TOO_LARGE'));
+    } else if (preview.kind === 'image') {
+      return h('img', {src: preview.url, alt: preview.file.filename});
+    } else if (preview.kind === 'audio' || preview.kind === 'video') {
+      return h(preview.kind, {src: preview.url, controls: true, preload: 'metadata'});
+    } else if (preview.kind === 'pdf') {
+      return h('iframe', {src: preview.url});
+    } else if (preview.kind === 'text') {
+      return h('pre', {}, preview.truncated ? `${preview.text}\n...` : preview.text);
+    }
+
+    return h('div', {class: 'osjs__message'}, __('LBL_PREVIEW_NONE'));
+  };
+
+  const PreviewPane = ({preview}) => {
+    const {file} = preview;
+    if (!file) {
+      return h('div', {class: 'osjs-filemanager-preview'}, h('div', {class: 'osjs__message'}, preview.count > 1
+        ? __('LBL_PREVIEW_MULTIPLE', preview.count)
+        : __('LBL_PREVIEW_NONE')));
+    }
+
+    return h('div', {class: 'osjs-filemanager-preview'}, [
+      h('div', {class: 'osjs__content', key: file.path}, previewContent(preview)),
+      h('table', {class: 'osjs__metadata'}, [
+        [_('LBL_NAME'), file.filename],
+        [_('LBL_TYPE'), file.mime || ''],
+        [_('LBL_SIZE'), file.isDirectory ? '' : formatFileSize(file.size || 0)],
+        [__('LBL_MODIFIED'), file.stat ? formatDate(file.stat.mtime) : '']
+      ].filter(([, value]) => !!value).map(([label, value]) => h('tr', {}, [
+        h('th', {}, label),
+        h('td', {}, value)
+      ])))
+    ]);
+  };
+
+  const SecondaryPane = ({pane, activePane, thumbnails}, actions) => {
+    const FileView = createFileView(withThumbnails(pane.fileview, thumbnails), actions.pane.fileview);
+
+    return h('div', {
+      class: 'osjs-filemanager-fileview osjs-filemanager-secondary' +
+        (activePane === 'secondary' ? ' osjs__active' : '')
+    }, [
+      h(Toolbar, {}, [
+        h(Button, {
+          title: _('LBL_BACK'),
+          icon: icon('go-previous'),
+          disabled: canGoBack(pane.history),
+          onclick: () => actions.pane.history.back()
+        }),
+        h(Button, {
+          title: _('LBL_FORWARD'),
+          icon: icon('go-next'),
+          disabled: canGoForward(pane.history),
+          onclick: () => actions.pane.history.forward()
+        }),
+        h(TextField, {
+          value: pane.path,
+          box: {grow: 1, shrink: 1},
+          onenter: (ev, value) => win.emit('filemanager:pane:navigate', {path: value})
+        })
+      ]),
+      h(FileView)
+    ]);
+  };
+
+  const stopEvent = ev => ev.stopPropagation();
+
+  const RenameEditor = (file, rename, actions) => h('span', {
+    class: 'osjs-filemanager-rename' + (rename.error ? ' osjs__error' : '')
+  }, [
+    h('input', {
+      type: 'text',
+      value: rename.value,
+      oncreate: el => {
+        const index = file.isDirectory ? -1 : rename.value.lastIndexOf('.');
+        el.focus();
+        el.setSelectionRange(0, index > 0 ? index : rename.value.length);
+      },
+      oninput: ev => actions.setRenameValue(ev.target.value),
+      onkeydown: ev => {
+        ev.stopPropagation();
+        if (ev.keyCode === 13) {
+          actions.commitRename();
+        } else if (ev.keyCode === 27) {
+          actions.cancelRename();
+        }
+      },
+      onblur: () => actions.commitRename(true),
+      onclick: stopEvent,
+      ondblclick: stopEvent,
+      onmousedown: stopEvent
+    }),
+    rename.error ? h('span', {class: 'osjs__message'}, rename.error) : null
+  ]);
 
-  const onMenuClick = (name, args) => ev => win.emit('filemanager:menu', {ev, name}, args);
-  const onInputEnter = (ev, value) => win.emit('filemanager:navigate', {path: value});
+  // Replaces the name of the entry being renamed with an editor
+  const withRenameEditor = (fileview, rename, actions) => rename.path
+    ? Object.assign({}, fileview, {
+      rows: fileview.rows.map(row => row.key === rename.path
+        ? Object.assign({}, row, {
+          columns: [
+            Object.assign({}, row.columns[0], {label: RenameEditor(row.data, rename, actions)}),
+            ...row.columns.slice(1)
+          ]
+        })
+        : row)
+    })
+    : fileview;
+
+  // Thumbnails replaces the icons of files on mountpoints where they are enabled
+  const withThumbnails = (fileview, thumbnails) => Object.assign({}, fileview, {
+    rows: fileview.rows.map(row => {
+      const src = row.data && thumbnails[getThumbnailKey(row.data)];
+      const enabled = src && isThumbnailEnabled(row.data.path);
+
+      return enabled
+        ? Object.assign({}, row, {
+          columns: [
+            Object.assign({}, row.columns[0], {icon: src}),
+            ...row.columns.slice(1)
+          ]
+        })
+        : row;
+    })
+  });
 
-  const canGoBack = ({list, index}) => !list.length || index <= 0;
-  const canGoForward = ({list, index}) => !list.length || (index === list.length - 1);
+  const createFileView = (state, actions) => {
+    const {viewMode} = proc.settings;
+
+    return viewMode === 'icons' || viewMode === 'compact'
+      ? iconViewComponent(state, actions, viewMode === 'compact')
+      : listView.component(state, actions);
+  };
 
   return (state, actions) => {
-    const FileView = listView.component(state.fileview, actions.fileview);
+    const FileView = createFileView(
+      withRenameEditor(withThumbnails(state.fileview, state.thumbnails), state.rename, actions),
+      actions.fileview
+    );
     const MountView = listView.component(state.mountview, actions.mountview);
 
     return h(Box, {
@@ -696,16 +4234,37 @@ const createView = (core, proc, win) => {
           icon: icon('go-home'),
           onclick: () => win.emit('filemanager:home')
         }),
+        PathBar(state, actions),
         h(TextField, {
-          value: state.path,
-          box: {grow: 1, shrink: 1},
-          onenter: onInputEnter
+          value: state.filter,
+          placeholder: __('LBL_FILTER'),
+          box: {grow: 0, shrink: 1, basis: '10em'},
+          oninput: (ev, value) => actions.setFilter(value),
+          onkeydown: ev => {
+            if (ev.keyCode === 27) {
+              actions.setFilter('');
+            }
+          }
+        }),
+        h(Button, {
+          title: __('LBL_SEARCH'),
+          icon: icon('system-search'),
+          onclick: () => win.emit('filemanager:menu:search')
         })
       ]),
+      state.search.visible ? SearchBar(state, actions) : null,
+      state.tabs.list.length > 1 ? TabBar(state, actions) : null,
       h(Panes, {style: {flex: '1 1'}}, [
-        h(MountView),
-        h(FileView)
+        h('div', {class: 'osjs-filemanager-mountview'}, h(MountView)),
+        h('div', {
+          key: state.tabs.list[state.tabs.index].id,
+          class: 'osjs-filemanager-fileview' +
+            (proc.settings.dualPane && state.activePane === 'primary' ? ' osjs__active' : '')
+        }, h(FileView)),
+        proc.settings.dualPane ? SecondaryPane(state, actions) : null,
+        proc.settings.showPreview ? PreviewPane(state, actions) : null
       ]),
+      TransferPanel(state, actions),
       h(Statusbar, {}, h('span', {}, state.status))
     ]);
   };
@@ -717,19 +4276,213 @@ const createView = (core, proc, win) => {
 const createApplication = (core, proc) => {
   const createColumns = listViewColumnFactory(core, proc);
   const createRows = listViewRowFactory(core, proc);
-  const createMounts = mountViewRowsFactory(core);
+  const createMounts = mountViewRowsFactory(core, proc);
+  const sortList = list => [...list].sort(createFileSorter(proc.settings));
+  const statusMessage = formatStatusMessage(core);
   const {draggable} = core.make('osjs/dnd');
+  const {translatable} = core.make('osjs/locale');
+  const __ = translatable(translations);
+  const emptyRename = {path: undefined, value: '', error: null, pending: undefined};
+  let lastClick = {path: undefined, time: 0};
+  let renameTimeout;
+  let lastTabId = 0;
+
+  const validateRename = (list, file, value) => {
+    if (!value.trim()) {
+      return __('MSG_RENAME_EMPTY');
+    } else if (value.match(/[/\\]/) || isSpecialFile(value)) {
+      return __('MSG_RENAME_INVALID');
+    } else if (value !== file.filename && list.some(f => f.filename === value &&
+      getParentPath(f.path) === getParentPath(file.path))) {
+      return __('MSG_RENAME_EXISTS', value);
+    }
+
+    return null;
+  };
+
+  // A second click on an already selected item starts inline editing
+  const onSlowClick = (win, ev, data) => {
+    const [file] = data || [];
+    const now = Date.now();
+    const modified = ev && (ev.shiftKey || ev.ctrlKey || ev.metaKey);
+
+    clearTimeout(renameTimeout);
+
+    if (ev && ev.type === 'click' && !modified && file && data.length === 1 && !isSpecialFile(file.filename) &&
+      lastClick.path === file.path && now - lastClick.time > 500) {
+      renameTimeout = setTimeout(() => win.emit('filemanager:rename:start', file), 500);
+    }
+
+    lastClick = {path: file ? file.path : undefined, time: now};
+  };
+
+  // NOTE: The selection is attached when the drag starts (see 'filemanager:dragstart')
+  const createDraggable = (win, el, data) => draggable(el, {
+    data,
+    effect: 'copyMove',
+    ondragstart: ev => win.emit('filemanager:dragstart', ev, data)
+  });
+
+  const createDropTarget = (win, el, data) => {
+    let depth = 0;
+
+    const leave = () => {
+      depth = 0;
+      el.classList.remove('osjs-filemanager-drop-target');
+    };
+
+    el.addEventListener('dragenter', ev => {
+      ev.preventDefault();
+      depth++;
+      el.classList.add('osjs-filemanager-drop-target');
+    });
+
+    el.addEventListener('dragover', ev => {
+      ev.preventDefault();
+      ev.dataTransfer.dropEffect = ev.ctrlKey || ev.metaKey ? 'copy' : 'move';
+    });
+
+    el.addEventListener('dragleave', () => {
+      if (--depth <= 0) {
+        leave();
+      }
+    });
+
+    el.addEventListener('drop', ev => {
+      ev.preventDefault();
+      ev.stopPropagation();
+      leave();
+
+      let transferData;
+      try {
+        transferData = JSON.parse(ev.dataTransfer.getData('application/json'));
+      } catch (e) {
+        transferData = undefined;
+      }
+
+      win.emit('filemanager:dropTo', ev, data, transferData, Array.from(ev.dataTransfer.files || []));
+    });
+  };
+
+  const createTab = path => ({
+    id: ++lastTabId,
+    path,
+    history: {index: -1, list: []},
+    selectedIndex: [],
+    scrollTop: 0
+  });
+
+  const createInitialTabs = () => {
+    const paths = proc.args.tabs instanceof Array && proc.args.tabs.length > 0
+      ? proc.args.tabs
+      : [proc.args.path];
+
+    const list = paths.map(createTab);
+    const index = Math.min(list.length - 1, Math.max(0, proc.args.tabIndex || 0));
+
+    return {index, list};
+  };
+
+  // NOTE: This sets the restore arguments in the application session
+  const updateTabArgs = ({index, list}) => {
+    proc.args.tabs = list.map(tab => tab.path);
+    proc.args.tabIndex = index;
+  };
+
+  // Updates the active tab with the current view state
+  const snapshotTabs = ({tabs, path, history, fileview}) => tabs.list.map((tab, index) => index === tabs.index
+    ? Object.assign({}, tab, {
+      path: {path},
+      history,
+      selectedIndex: fileview.selectedIndex,
+      scrollTop: fileview.scrollTop
+    })
+    : tab);
+
+  const switchTab = (win, list, index) => {
+    const tab = list[index];
+    const tabs = {index, list};
+
+    updateTabArgs(tabs);
+    win.emit('filemanager:navigate', tab.path, tab.history.index === -1 ? undefined : true);
+
+    return {
+      tabs,
+      history: tab.history,
+      restore: {
+        path: tab.path.path,
+        selectedIndex: tab.selectedIndex,
+        scrollTop: tab.scrollTop
+      }
+    };
+  };
 
   const initialState = {
     path: '',
     status: '',
+    filter: '',
+    list: [],
     minimalistic: false,
 
+    search: {
+      visible: false,
+      active: false,
+      running: false,
+      query: {
+        name: '',
+        mime: '',
+        minSize: '',
+        maxSize: '',
+        after: '',
+        before: ''
+      }
+    },
+
     history: {
       index: -1,
       list: []
     },
 
+    pathbar: {
+      editing: false,
+      value: '',
+      error: null,
+      suggestions: []
+    },
+
+    tabs: createInitialTabs(),
+    restore: undefined,
+    rename: emptyRename,
+
+    transfers: {
+      collapsed: false,
+      items: [],
+      summary: undefined
+    },
+
+    preview: {
+      file: undefined
+    },
+
+    thumbnails: {},
+
+    activePane: 'primary',
+
+    pane: {
+      path: '',
+
+      history: {
+        index: -1,
+        list: []
+      },
+
+      fileview: listView.state({
+        columns: [],
+        multiselect: true,
+        previousSelectedIndex: 0
+      })
+    },
+
     mountview: listView.state({
       class: 'osjs-gui-fill',
       columns: ['Name'],
@@ -744,78 +4497,382 @@ const createApplication = (core, proc) => {
     })
   };
 
+  const createListState = (win, {path, list, filter, fileview, selectFile, search}) => {
+    const filteredList = filterFiles(list, filter);
+    const filtered = filteredList.length !== list.length;
+    let selectedIndex = [];
+
+    if (selectFile) {
+      const foundIndex = filteredList.findIndex(file => file.filename === selectFile);
+      if (foundIndex !== -1) {
+        selectedIndex = [foundIndex];
+      }
+    }
+
+    return {
+      status: statusMessage(path, filteredList, filtered
+        ? list.filter(file => !isSpecialFile(file.filename)).length
+        : undefined),
+      fileview: Object.assign({}, fileview, {
+        selectedIndex,
+        columns: createColumns(win, search),
+        rows: createRows(filteredList, search)
+      })
+    };
+  };
+
+  const createHistoryActions = (win, navigateEvent) => ({
+    clear: () => ({index: -1, list: []}),
+
+    push: (path) => ({index, list}) => {
+      const newList = index === -1 ? [] : list;
+      const lastHistory = newList[newList.length - 1];
+      const newIndex = lastHistory === path
+        ? newList.length - 1
+        : newList.push(path) - 1;
+
+      return {list: newList, index: newIndex};
+    },
+
+    back: () => ({index, list}) => {
+      const newIndex = Math.max(0, index - 1);
+      win.emit(navigateEvent, list[newIndex], true);
+      return {index: newIndex};
+    },
+
+    forward: () => ({index, list}) => {
+      const newIndex = Math.min(list.length - 1, index + 1);
+      win.emit(navigateEvent, list[newIndex], true);
+      return {index: newIndex};
+    }
+  });
+
   const createActions = (win) => ({
-    history: {
-      clear: () => ({index: -1, list: []}),
+    history: createHistoryActions(win, 'filemanager:navigate'),
 
-      push: (path) => ({index, list}) => {
-        const newList = index === -1 ? [] : list;
-        const lastHistory = newList[newList.length - 1];
-        const newIndex = lastHistory === path
-          ? newList.length - 1
-          : newList.push(path) - 1;
+    pane: {
+      history: createHistoryActions(win, 'filemanager:pane:navigate'),
 
-        return {list: newList, index: newIndex};
-      },
+      setList: ({list, path}) => ({fileview}) => ({
+        path,
+        fileview: Object.assign({}, fileview, {
+          selectedIndex: [],
+          columns: createColumns(win),
+          rows: createRows(sortList(list))
+        })
+      }),
+
+      fileview: listView.actions({
+        select: ({data}) => win.emit('filemanager:pane:select', data),
+        activate: ({data}) =>
+          data.forEach(item =>
+            win.emit(`filemanager:${item.isFile ? 'open' : 'pane:navigate'}`, item)
+          ),
+        contextmenu: args => win.emit('filemanager:contextmenu', args),
+        created: ({el, data}) => {
+          if (data.isFile) {
+            createDraggable(win, el, data);
+            win.emit('filemanager:thumbnail', el, data);
+          } else if (data.isDirectory && !isSpecialFile(data.filename)) {
+            createDraggable(win, el, data);
+            createDropTarget(win, el, data);
+          }
+        },
+        setSelection: ({selectedIndex, previousSelectedIndex}) => ({selectedIndex, previousSelectedIndex})
+      })
+    },
 
-      back: () => ({index, list}) => {
-        const newIndex = Math.max(0, index - 1);
-        win.emit('filemanager:navigate', list[newIndex], true);
-        return {index: newIndex};
-      },
+    setActivePane: activePane => ({activePane}),
+
+    selectAll: () => state => {
+      const selectAll = (fileview, event) => {
+        const selectedIndex = fileview.rows
+          .map((row, index) => index)
+          .filter(index => !isSpecialFile(fileview.rows[index].data.filename));
+
+        win.emit(event, selectedIndex.map(index => fileview.rows[index].data));
+
+        return Object.assign({}, fileview, {selectedIndex});
+      };
+
+      return state.activePane === 'secondary'
+        ? {pane: Object.assign({}, state.pane, {fileview: selectAll(state.pane.fileview, 'filemanager:pane:select')})}
+        : {fileview: selectAll(state.fileview, 'filemanager:select')};
+    },
+
+    pathbar: {
+      edit: value => ({editing: true, value, error: null, suggestions: []}),
+      cancel: () => ({editing: false, error: null, suggestions: []}),
+      setValue: value => ({value, error: null}),
+      setError: error => ({error}),
+      setSuggestions: ({value, suggestions}) => state => state.value === value ? {suggestions} : {}
+    },
+
+    search: {
+      toggle: () => ({visible}) => ({visible: !visible}),
+      setQuery: query => state => ({query: Object.assign({}, state.query, query)})
+    },
+
+    startSearch: () => state => Object.assign({
+      filter: '',
+      list: [],
+      search: Object.assign({}, state.search, {active: true, running: true})
+    }, createListState(win, {
+      path: state.path,
+      list: [],
+      fileview: state.fileview,
+      search: true
+    })),
+
+    addSearchResults: results => state => {
+      const list = sortList([...state.list, ...results]);
+      const {fileview} = createListState(win, {
+        path: state.path,
+        list,
+        fileview: state.fileview,
+        search: true
+      });
+
+      // NOTE: Keeps the current selection while results stream in
+      return {
+        list,
+        fileview: Object.assign({}, fileview, {
+          selectedIndex: state.fileview.selectedIndex
+        })
+      };
+    },
+
+    finishSearch: status => state => ({
+      status: status || state.status,
+      search: Object.assign({}, state.search, {running: false})
+    }),
+
+    openTab: path => state => {
+      const list = snapshotTabs(state);
+      const index = state.tabs.index + 1;
+      list.splice(index, 0, createTab(path || {path: state.path}));
+
+      return switchTab(win, list, index);
+    },
+
+    selectTab: index => state => {
+      if (index === state.tabs.index || !state.tabs.list[index]) {
+        return {};
+      }
+
+      return switchTab(win, snapshotTabs(state), index);
+    },
+
+    closeTab: index => state => {
+      const {tabs} = state;
+      const closeIndex = typeof index === 'number' ? index : tabs.index;
+      if (tabs.list.length < 2) {
+        return {};
+      }
+
+      const list = snapshotTabs(state).filter((tab, i) => i !== closeIndex);
 
-      forward: () => ({index, list}) => {
-        const newIndex = Math.min(list.length - 1, index + 1);
-        win.emit('filemanager:navigate', list[newIndex], true);
-        return {index: newIndex};
+      if (closeIndex === tabs.index) {
+        return switchTab(win, list, Math.min(closeIndex, list.length - 1));
       }
+
+      const newTabs = {
+        index: closeIndex < tabs.index ? tabs.index - 1 : tabs.index,
+        list
+      };
+
+      updateTabArgs(newTabs);
+
+      return {tabs: newTabs};
     },
 
     toggleMinimalistic: () => ({minimalistic}) => ({minimalistic: !minimalistic}),
 
     setPath: path => ({path}),
     setStatus: status => ({status}),
+    setPreview: preview => ({preview}),
+
+    transfers: {
+      set: ({items, summary}) => ({items, summary}),
+      toggle: () => ({collapsed}) => ({collapsed: !collapsed})
+    },
+
     setMinimalistic: minimalistic => ({minimalistic}),
-    setList: ({list, path, selectFile}) => ({fileview, mountview}) => {
-      let selectedIndex = [];
 
-      if (selectFile) {
-        const foundIndex = list.findIndex(file => file.filename === selectFile);
-        if (foundIndex !== -1) {
-          selectedIndex = [foundIndex];
-        }
-      }
+    // Only the most recently loaded thumbnails are kept
+    setThumbnail: ({key, src, limit}) => ({thumbnails}) => {
+      const keys = Object.keys(thumbnails).filter(k => k !== key);
+      const kept = keys.slice(Math.max(0, keys.length - limit + 1));
 
       return {
+        thumbnails: kept.reduce((result, k) => Object.assign(result, {[k]: thumbnails[k]}), {[key]: src})
+      };
+    },
+
+    setList: ({list, path, selectFile}) => (state) => {
+      const sortedList = sortList(list);
+
+      // NOTE: The filter and an ongoing rename are only kept when refreshing the same directory
+      const filter = path === state.path ? state.filter : '';
+      const rename = path === state.path && sortedList.some(file => file.path === state.rename.path)
+        ? state.rename
+        : emptyRename;
+
+      const newState = Object.assign({
         path,
-        status: formatStatusMessage(list),
-        mountview: Object.assign({}, mountview, {
+        filter,
+        list: sortedList,
+        restore: undefined,
+        rename,
+        pathbar: Object.assign({}, state.pathbar, {editing: false, error: null}),
+        search: Object.assign({}, state.search, {active: false, running: false}),
+        mountview: Object.assign({}, state.mountview, {
           rows: createMounts()
-        }),
-        fileview: Object.assign({}, fileview, {
+        })
+      }, createListState(win, {
+        path,
+        filter,
+        selectFile,
+        list: sortedList,
+        fileview: state.fileview
+      }));
+
+      // Restores the selection and scroll position of a switched tab
+      const {restore} = state;
+      if (restore && restore.path === path) {
+        const {rows} = newState.fileview;
+        const selectedIndex = (restore.selectedIndex instanceof Array ? restore.selectedIndex : [])
+          .filter(index => index < rows.length);
+
+        newState.fileview = Object.assign({}, newState.fileview, {
           selectedIndex,
-          columns: createColumns(),
-          rows: createRows(list)
+          scrollTop: restore.scrollTop
+        });
+
+        if (selectedIndex.length > 0) {
+          win.emit('filemanager:select', selectedIndex.map(index => rows[index].data));
+        }
+      }
+
+      // Starts editing a newly created entry
+      const pending = sortedList.find(file => file.path === state.rename.pending);
+      if (pending) {
+        newState.rename = Object.assign({}, emptyRename, {path: pending.path, value: pending.filename});
+      }
+
+      return newState;
+    },
+
+    startRename: file => ({
+      rename: Object.assign({}, emptyRename, {path: file.path, value: file.filename})
+    }),
+
+    pendingRename: path => ({
+      rename: Object.assign({}, emptyRename, {pending: path})
+    }),
+
+    setRenameValue: value => ({list, fileview, rename}) => {
+      const row = fileview.rows.find(row => row.key === rename.path);
+
+      return {
+        rename: Object.assign({}, rename, {
+          value,
+          error: row ? validateRename(list, row.data, value) : null
         })
       };
     },
 
+    cancelRename: () => ({rename: emptyRename}),
+
+    commitRename: fromBlur => ({list, fileview, rename}) => {
+      const row = fileview.rows.find(row => row.key === rename.path);
+      if (!rename.path) {
+        return {};
+      } else if (!row) {
+        return {rename: emptyRename};
+      }
+
+      const error = validateRename(list, row.data, rename.value);
+      if (error) {
+        return fromBlur
+          ? {rename: emptyRename}
+          : {rename: Object.assign({}, rename, {error})};
+      }
+
+      if (rename.value !== row.data.filename) {
+        win.emit('filemanager:rename:commit', row.data, rename.value);
+      }
+
+      return {rename: emptyRename};
+    },
+
+    setFilter: filter => ({path, list, fileview, search}) => {
+      win.emit('filemanager:filter', filter);
+
+      return Object.assign({
+        filter
+      }, createListState(win, {path, list, filter, fileview, search: search.active}));
+    },
+
     mountview: listView.actions({
-      select: ({data}) => win.emit('filemanager:navigate', {path: data.root})
+      select: ({data, ev}) => {
+        if (data.isHeader || (ev && ev.type === 'contextmenu')) {
+          return;
+        } else if (data.isRecent) {
+          win.emit('filemanager:recent:show');
+        } else if (data.isTrash) {
+          win.emit('filemanager:trash:show');
+        } else {
+          win.emit('filemanager:navigate', {path: data.isFavorite ? data.path : data.root});
+        }
+      },
+      contextmenu: ({data, ev}) => {
+        if (data.isFavorite) {
+          win.emit('filemanager:menu', {ev, name: 'favorite'}, data);
+        } else if (data.isTrash) {
+          win.emit('filemanager:menu', {ev, name: 'trash'}, []);
+        }
+      },
+      created: ({el, data}) => {
+        if (data.isFavorite) {
+          createDropTarget(win, el, {path: data.path, isDirectory: true});
+        } else if (data.isTrash) {
+          createDropTarget(win, el, data);
+        } else if (data.root) {
+          createDropTarget(win, el, {path: data.root, isDirectory: true});
+        }
+      }
     }),
 
     fileview: listView.actions({
-      select: ({data}) => win.emit('filemanager:select', data),
-      activate: ({data}) =>
+      select: ({data, ev}) => {
+        win.emit('filemanager:select', data);
+        onSlowClick(win, ev, data);
+      },
+      activate: ({data}) => {
+        clearTimeout(renameTimeout);
         data.forEach(item =>
           win.emit(`filemanager:${item.isFile ? 'open' : 'navigate'}`, item)
-        ),
+        );
+      },
       contextmenu: args => win.emit('filemanager:contextmenu', args),
       created: ({el, data}) => {
         if (data.isFile) {
-          draggable(el, {data});
+          createDraggable(win, el, data);
+          win.emit('filemanager:thumbnail', el, data);
+        } else if (data.isDirectory && !isSpecialFile(data.filename)) {
+          createDraggable(win, el, data);
+          createDropTarget(win, el, data);
+          el.addEventListener('mouseup', ev => {
+            if (ev.button === 1) {
+              ev.preventDefault();
+              win.emit('filemanager:tab:open', [data]);
+            }
+          });
         }
-      }
+      },
+      scroll: ev => ({scrollTop: ev.target.scrollTop}),
+      setSelection: ({selectedIndex, previousSelectedIndex}) => ({selectedIndex, previousSelectedIndex})
     })
   });
 
@@ -831,27 +4888,181 @@ const createApplication = (core, proc) => {
  */
 const createWindow = (core, proc) => {
   let wired;
-  const state = {currentFile: [], currentPath: undefined};
+  const state = {
+    currentFile: [],
+    currentPath: undefined,
+    panePath: proc.args.panePath,
+    activePane: 'primary',
+    search: undefined,
+    recent: false,
+    trash: false
+  };
   const {homePath, initialPath} = createInitialPaths(core, proc);
 
-  const title = core.make('osjs/locale').translatableFlat(proc.metadata.title);
+  const {translatable, translatableFlat} = core.make('osjs/locale');
+  const __ = translatable(translations);
+  const title = translatableFlat(proc.metadata.title);
   const win = proc.createWindow(createWindowOptions(core, proc, title));
   const render = createApplication(core, proc);
-  const dialog = dialogFactory(core, proc, win);
-  const createMenu = menuFactory(core, proc, win);
-  const vfs = vfsActionFactory(core, proc, win, dialog, state);
+  const trash = trashActionFactory(core, proc);
+  const dialog = dialogFactory(core, proc, win, trash);
+  const recent = recentActionFactory(core, proc);
+  const journal = journalFactory(core, proc);
+  const keybindings = createKeybindings(core);
+  const thumbnails = thumbnailFactory(core, proc, win);
+  const createMenu = menuFactory(core, proc, win, recent, journal, thumbnails);
+  const statusMessage = formatStatusMessage(core);
+  const transfers = transferFactory(core, proc, win);
+  const showProperties = propertiesDialogFactory(core, proc, win);
+  const batchRename = batchRenameDialogFactory(core, proc, win);
+  const pickFolder = folderPickerDialogFactory(core, proc, win);
+  const preview = previewActionFactory(core, proc, win);
+  const vfs = vfsActionFactory(core, proc, win, dialog, state, journal, transfers, trash);
   const clipboard = clipboardActionFactory(core, state, vfs);
+  const search = searchActionFactory(core, proc, win, state);
 
   const setSetting = (key, value) => proc.emit('filemanager:setting', key, value);
   const onTitle = append => win.setTitle(`${title} - ${append}`);
   const onStatus = message => wired.setStatus(message);
-  const onRender = () => vfs.readdir(initialPath);
+  const onRender = () => {
+    if (proc.settings.dualPane) {
+      vfs.readdirPane(state.panePath || initialPath);
+    }
+
+    return vfs.readdir(initialPath);
+  };
   const onDestroy = () => proc.destroy();
-  const onDrop = (...args) => vfs.drop(...args);
-  const onHome = () => vfs.readdir(homePath, 'clear');
-  const onNavigate = (...args) => vfs.readdir(...args);
-  const onSelectItem = files => (state.currentFile = files);
-  const onSelectStatus = files => win.emit('filemanager:status', formatStatusMessage(files));
+  const onDrop = (ev, data, ...args) => {
+    const closest = selector => ev && ev.target && typeof ev.target.closest === 'function' &&
+      ev.target.closest(selector);
+
+    const items = [].concat(data || []);
+    if (closest('.osjs-filemanager-mountview') && items.some(item => item && item.isDirectory)) {
+      return onFavoritesAdd(items);
+    }
+
+    return closest('.osjs-filemanager-secondary') && proc.settings.dualPane
+      ? vfs.dropPane(ev, data, ...args)
+      : vfs.drop(ev, data, ...args);
+  };
+  const onDragStart = (ev, data) => {
+    const selected = state.currentFile.filter(item => !isSpecialFile(item.filename));
+    if (selected.length > 1 && selected.some(item => item.path === data.path)) {
+      ev.dataTransfer.setData('application/json', JSON.stringify(selected));
+    }
+  };
+  const onDropTo = (ev, target, data, files) => target.isTrash
+    ? data && win.emit('filemanager:menu:delete', [].concat(data))
+    : vfs.dropTo(ev, target, data, files);
+  const endSearch = () => {
+    search.cancel();
+    state.search = undefined;
+    state.recent = false;
+    state.trash = false;
+  };
+  const onRecentShow = () => {
+    endSearch();
+    state.recent = true;
+    wired.startSearch();
+
+    return recent.list()
+      .then(({directories, files}) => {
+        const entries = [...directories, ...files];
+        if (state.recent) {
+          wired.addSearchResults(entries);
+          wired.finishSearch(__('LBL_RECENT_STATUS', entries.length));
+        }
+      })
+      .catch(error => console.warn(error));
+  };
+  const onRecentDirectory = ({path}) => recent.addDirectory({path});
+  const onRecentOpen = entry => recent.resolve(entry)
+    .then(file => win.emit(file.isDirectory ? 'filemanager:navigate' : 'filemanager:open', file))
+    .catch(error => dialog('error', error, error.message));
+  const onTrashShow = () => {
+    endSearch();
+    state.trash = true;
+    wired.startSearch();
+
+    return trash.list()
+      .then(files => {
+        if (state.trash) {
+          wired.addSearchResults(files);
+          wired.finishSearch(__('LBL_TRASH_STATUS', files.length));
+        }
+      })
+      .catch(error => console.warn(error));
+  };
+  const onTrashRestore = files => vfs.action(() => trash.restore(files), true, __('MSG_RESTORE_ERROR'));
+  const onTrashEmpty = () => dialog('emptyTrash', vfs.action);
+  const onHome = () => {
+    endSearch();
+    return vfs.readdir(homePath, 'clear');
+  };
+  const onNavigate = (...args) => {
+    endSearch();
+    return vfs.readdir(...args);
+  };
+  const setActivePane = activePane => {
+    state.activePane = activePane;
+    wired.setActivePane(activePane);
+  };
+  const onSelectItem = files => {
+    state.currentFile = files;
+    setActivePane('primary');
+    preview.load(files);
+  };
+  const onPaneSelectItem = files => {
+    state.currentFile = files;
+    setActivePane('secondary');
+    preview.load(files);
+  };
+  const onPreview = args => wired.setPreview(args);
+  const onPreviewClear = () => preview.load([]);
+  const onPaneNavigate = (...args) => vfs.readdirPane(...args);
+  const getFavorites = () => proc.settings.favorites || [];
+  const onFavoritesAdd = items => {
+    const favorites = getFavorites();
+    const added = items
+      .filter(item => item.isDirectory && !isSpecialFile(item.filename))
+      .filter(item => !favorites.some(f => f.path === item.path))
+      .map(item => ({path: item.path}));
+
+    if (added.length > 0) {
+      setSetting('favorites', [...favorites, ...added]);
+    }
+  };
+  const onFavoritesRemove = path => setSetting('favorites', getFavorites().filter(f => f.path !== path));
+  const onFavoritesMove = (path, offset) => {
+    const favorites = [...getFavorites()];
+    const index = favorites.findIndex(f => f.path === path);
+    const newIndex = index + offset;
+
+    if (index !== -1 && newIndex >= 0 && newIndex < favorites.length) {
+      favorites.splice(newIndex, 0, favorites.splice(index, 1)[0]);
+      setSetting('favorites', favorites);
+    }
+  };
+  const onPathbarNavigate = path => {
+    endSearch();
+    return vfs.readdir({path}, undefined, undefined, error => {
+      wired.pathbar.setError(__('MSG_READDIR_ERROR', path) + (error && error.message ? `: ${error.message}` : ''));
+    });
+  };
+  const onPathbarComplete = value => vfs.complete(value)
+    .then(suggestions => wired.pathbar.setSuggestions({value, suggestions}))
+    .catch(error => console.warn(error));
+  const onPaneReaddir = args => wired.pane.setList(args);
+  const onPaneHistoryPush = file => wired.pane.history.push(file);
+  const pasteToPane = move => items => {
+    const target = state.activePane === 'secondary'
+      ? state.currentPath
+      : state.panePath;
+
+    return vfs.paste(move, target)({items});
+  };
+  const onFilter = () => (state.currentFile = []);
+  const onSelectStatus = files => win.emit('filemanager:status', statusMessage(state.currentPath.path, files));
   const onContextMenu = ({ev, data}) => createMenu({ev, name: 'edit'}, data, true);
   const onReaddirRender = args => wired.setList(args);
   const onRefresh = (...args) => vfs.refresh(...args);
@@ -860,6 +5071,8 @@ const createWindow = (core, proc) => {
       files = [files];
     }
 
+    recent.addFiles(files);
+
     return files.forEach(
       file => core.open(file, {useDefault: true})
     );
@@ -869,6 +5082,8 @@ const createWindow = (core, proc) => {
       files = [files];
     }
 
+    recent.addFiles(files);
+
     return files.forEach(
       file => core.open(file, {useDefault: true, forceDialog: true})
     );
@@ -876,52 +5091,249 @@ const createWindow = (core, proc) => {
   const onHistoryPush = file => wired.history.push(file);
   const onHistoryClear = () => wired.history.clear();
   const onMenu = (props, args) => createMenu(props, args || state.currentFile);
-  const onMenuUpload = (...args) => vfs.upload(...args);
-  const onMenuMkdir = () => dialog('mkdir', vfs.action, state.currentPath);
+  const onMenuUpload = () => vfs.upload();
+  const onMenuUploadFolder = () => vfs.upload(true);
+  const onMenuMkdir = () => vfs.mkdir(state.currentPath);
+  const onMenuNewFile = template => vfs.createFile(template, state.currentPath);
+  const onMenuOpenNewFiles = () => proc.emit('filemanager:setting:silent', 'openNewFiles', !proc.settings.openNewFiles);
   const onMenuQuit = () => proc.destroy();
+  const onTabOpen = items => {
+    const dir = (items || []).find(item => item.isDirectory && !isSpecialFile(item.filename));
+    wired.openTab(dir ? {path: dir.path} : state.currentPath);
+  };
+  const onTabClose = () => wired.closeTab();
+  const onKeyDown = ev => {
+    if (isEditableElement(ev.target)) {
+      return;
+    }
+
+    const name = Object.keys(keybindings).find(key => keybindingEvents[key] &&
+      getShortcuts(keybindings[key]).some(shortcut => matchesShortcut(ev, shortcut)));
+
+    if (name) {
+      const {event, selection} = keybindingEvents[name];
+      const items = state.currentFile.filter(item => name === 'open' || !isSpecialFile(item.filename));
+
+      ev.preventDefault();
+
+      if (!selection) {
+        win.emit(event);
+      } else if (items.length > 0) {
+        win.emit(event, items);
+      }
+    }
+  };
+  const getActivePath = () => state.activePane === 'secondary' && proc.settings.dualPane
+    ? state.panePath
+    : state.currentPath;
+  const getActiveHistory = () => state.activePane === 'secondary' && proc.settings.dualPane
+    ? wired.pane.history
+    : wired.history;
+  const getActiveNavigateEvent = () => state.activePane === 'secondary' && proc.settings.dualPane
+    ? 'filemanager:pane:navigate'
+    : 'filemanager:navigate';
+  const onMenuOpen = items => items.forEach(item =>
+    win.emit(item.isFile ? 'filemanager:open' : getActiveNavigateEvent(), item));
+  const onMenuSelectAll = () => wired.selectAll();
+  const onMenuUndo = () => vfs.undo();
+  const onMenuRedo = () => vfs.redo();
+  const onMenuParent = () => {
+    const current = getActivePath();
+    if (current && !isRootPath(current.path)) {
+      win.emit(getActiveNavigateEvent(), {path: getParentPath(current.path)});
+    }
+  };
+  const onMenuBack = () => getActiveHistory().back();
+  const onMenuForward = () => getActiveHistory().forward();
+  const onMenuFocusPath = () => wired.pathbar.edit(state.currentPath.path);
+  const onMenuSearch = () => {
+    if (state.search) {
+      onSearchClose();
+    }
+    wired.search.toggle();
+  };
+  const onSearch = query => search.start(state.currentPath, query);
+  const onSearchStart = () => wired.startSearch();
+  const onSearchResults = results => wired.addSearchResults(results);
+  const onSearchDone = message => wired.finishSearch(message);
+  const onSearchCancel = () => search.stop();
+  const onSearchClose = () => {
+    endSearch();
+    vfs.refresh();
+  };
   const onMenuRefresh = () => vfs.refresh();
+  const onTransfers = args => wired.transfers.set(args);
+  const onTransferCancel = id => transfers.cancel(id);
+  const onTransferPause = id => transfers.pause(id);
+  const onTransferResume = id => transfers.resume(id);
+  const onTransferRetry = id => transfers.retry(id);
+  const onTransferClear = () => transfers.clear();
   const onMenuToggleMinimalistic = () => wired.toggleMinimalistic();
   const onMenuShowDate = () => setSetting('showDate', !proc.settings.showDate);
+  const onMenuShowPreview = () => setSetting('showPreview', !proc.settings.showPreview);
+  const onMenuThumbnails = path => {
+    const enabled = !thumbnails.isEnabled(path);
+
+    setSetting('thumbnailMountpoints', Object.assign({}, proc.settings.thumbnailMountpoints, {
+      [path.split(':')[0]]: enabled
+    }));
+  };
+  const onThumbnail = (el, file) => thumbnails.observe(el, file);
+  const onThumbnailLoaded = thumbnail => wired && wired.setThumbnail(thumbnail);
+  const onMenuThumbnailMaxSize = size => setSetting('thumbnailMaxSize', size);
+  const onMenuDualPane = () => setSetting('dualPane', !proc.settings.dualPane);
   const onMenuShowHidden = () => setSetting('showHiddenFiles', !proc.settings.showHiddenFiles);
-  const onMenuRename = files => dialog('rename', vfs.action, files);
-  const onMenuDelete = files => dialog('delete', vfs.action, files);
+  const onMenuViewMode = viewMode => setSetting('viewMode', viewMode);
+  const onMenuSort = sortBy => setSetting({
+    sortBy,
+    sortAsc: sortBy === proc.settings.sortBy ? proc.settings.sortAsc === false : true
+  });
+  const onMenuSortFoldersFirst = () => setSetting('sortFoldersFirst', !proc.settings.sortFoldersFirst);
+  const onMenuSortNatural = () => setSetting('sortNatural', !proc.settings.sortNatural);
+  const onMenuRename = items => {
+    const files = items.filter(file => !isSpecialFile(file.filename));
+
+    if (files.length === 0) {
+      return;
+    } else if (files.length > 1) {
+      batchRename(vfs.action, files);
+    } else if (state.activePane === 'primary' || !proc.settings.dualPane) {
+      wired.startRename(files[0]);
+    } else {
+      dialog('rename', vfs.action, files);
+    }
+  };
+  const onRenameStart = file => wired.startRename(file);
+  const onRenamePending = path => wired.pendingRename(path);
+  const onRenameCommit = (file, filename) => vfs.rename(file, filename);
+  const onMenuDelete = files => dialog('delete', vfs.remove, files);
+  const onMenuDeletePermanently = files => dialog('delete', vfs.remove, files, true);
+  const onMenuCompress = files => dialog('compress', vfs.compress, files.filter(file => !isSpecialFile(file.filename)));
+  const onMenuExtract = ([file]) => vfs.extract(file);
+  const onMenuExtractTo = ([file]) => pickFolder({title: __('LBL_EXTRACT_TO'), path: state.currentPath})
+    .then(dir => dir && vfs.extract(file, dir));
+  const onMenuProperties = files => showProperties(files.filter(file => !isSpecialFile(file.filename)));
   const onMenuDownload = (files) => vfs.download(files);
   const onMenuCopy = items => clipboard.set(items);
   const onMenuCut = items => clipboard.cut(items);
   const onMenuPaste = () => clipboard.paste();
+  const onMenuDuplicate = items => vfs.duplicate(items.filter(item => !isSpecialFile(item.filename)));
+  const pasteToFolder = move => items => pickFolder({
+    title: __(move ? 'LBL_MOVE_TO' : 'LBL_COPY_TO'),
+    label: __(move ? 'LBL_MOVE_HERE' : 'LBL_COPY_HERE'),
+    path: state.currentPath
+  }).then(dir => dir && vfs.paste(move, dir)({
+    items: items.filter(item => !isSpecialFile(item.filename))
+  }));
+  const onMenuCopyTo = pasteToFolder(false);
+  const onMenuMoveTo = pasteToFolder(true);
+  const onMenuCopyToPane = pasteToPane(false);
+  const onMenuMoveToPane = pasteToPane(true);
 
   return win
     .once('render', () => win.focus())
+    .once('destroy', () => search.cancel())
+    .once('destroy', () => thumbnails.destroy())
     .once('destroy', () => (wired = undefined))
     .once('render', onRender)
     .once('destroy', onDestroy)
     .on('drop', onDrop)
+    .on('keydown', onKeyDown)
     .on('filemanager:title', onTitle)
     .on('filemanager:status', onStatus)
     .on('filemanager:menu', onMenu)
     .on('filemanager:home', onHome)
     .on('filemanager:navigate', onNavigate)
     .on('filemanager:select', onSelectItem)
+    .on('filemanager:preview', onPreview)
+    .on('filemanager:readdir', onPreviewClear)
     .on('filemanager:select', onSelectStatus)
+    .on('filemanager:pane:select', onPaneSelectItem)
+    .on('filemanager:pane:select', onSelectStatus)
+    .on('filemanager:pane:navigate', onPaneNavigate)
+    .on('filemanager:favorites:add', onFavoritesAdd)
+    .on('filemanager:favorites:remove', onFavoritesRemove)
+    .on('filemanager:favorites:move', onFavoritesMove)
+    .on('filemanager:pathbar:navigate', onPathbarNavigate)
+    .on('filemanager:pathbar:complete', onPathbarComplete)
+    .on('filemanager:pane:readdir', onPaneReaddir)
+    .on('filemanager:pane:historyPush', onPaneHistoryPush)
+    .on('filemanager:filter', onFilter)
     .on('filemanager:contextmenu', onContextMenu)
     .on('filemanager:readdir', onReaddirRender)
+    .on('filemanager:readdir', onRecentDirectory)
+    .on('filemanager:recent:show', onRecentShow)
+    .on('filemanager:recent:open', onRecentOpen)
+    .on('filemanager:trash:show', onTrashShow)
+    .on('filemanager:trash:restore', onTrashRestore)
+    .on('filemanager:trash:empty', onTrashEmpty)
     .on('filemanager:refresh', onRefresh)
     .on('filemanager:open', onOpen)
     .on('filemanager:openWith', onOpenWith)
     .on('filemanager:historyPush', onHistoryPush)
     .on('filemanager:historyClear', onHistoryClear)
     .on('filemanager:menu:upload', onMenuUpload)
+    .on('filemanager:menu:uploadFolder', onMenuUploadFolder)
     .on('filemanager:menu:mkdir', onMenuMkdir)
     .on('filemanager:menu:quit', onMenuQuit)
+    .on('filemanager:menu:open', onMenuOpen)
+    .on('filemanager:menu:selectAll', onMenuSelectAll)
+    .on('filemanager:menu:undo', onMenuUndo)
+    .on('filemanager:menu:redo', onMenuRedo)
+    .on('filemanager:menu:parent', onMenuParent)
+    .on('filemanager:menu:back', onMenuBack)
+    .on('filemanager:menu:forward', onMenuForward)
+    .on('filemanager:menu:focusPath', onMenuFocusPath)
+    .on('filemanager:tab:open', onTabOpen)
+    .on('filemanager:tab:close', onTabClose)
+    .on('filemanager:menu:search', onMenuSearch)
+    .on('filemanager:search', onSearch)
+    .on('filemanager:search:start', onSearchStart)
+    .on('filemanager:search:results', onSearchResults)
+    .on('filemanager:search:done', onSearchDone)
+    .on('filemanager:search:cancel', onSearchCancel)
     .on('filemanager:menu:refresh', onMenuRefresh)
+    .on('filemanager:transfers', onTransfers)
+    .on('filemanager:transfer:cancel', onTransferCancel)
+    .on('filemanager:transfer:pause', onTransferPause)
+    .on('filemanager:transfer:resume', onTransferResume)
+    .on('filemanager:transfer:retry', onTransferRetry)
+    .on('filemanager:transfer:clear', onTransferClear)
     .on('filemanager:menu:toggleMinimalistic', onMenuToggleMinimalistic)
     .on('filemanager:menu:showDate', onMenuShowDate)
+    .on('filemanager:menu:showPreview', onMenuShowPreview)
+    .on('filemanager:menu:thumbnails', onMenuThumbnails)
+    .on('filemanager:thumbnail', onThumbnail)
+    .on('filemanager:thumbnail:loaded', onThumbnailLoaded)
+    .on('filemanager:menu:thumbnailMaxSize', onMenuThumbnailMaxSize)
+    .on('filemanager:menu:dualPane', onMenuDualPane)
     .on('filemanager:menu:showHidden', onMenuShowHidden)
+    .on('filemanager:menu:viewMode', onMenuViewMode)
+    .on('filemanager:menu:sort', onMenuSort)
+    .on('filemanager:menu:sortFoldersFirst', onMenuSortFoldersFirst)
+    .on('filemanager:menu:sortNatural', onMenuSortNatural)
     .on('filemanager:menu:copy', onMenuCopy)
     .on('filemanager:menu:cut', onMenuCut)
     .on('filemanager:menu:paste', onMenuPaste)
+    .on('filemanager:menu:duplicate', onMenuDuplicate)
+    .on('filemanager:menu:copyTo', onMenuCopyTo)
+    .on('filemanager:menu:moveTo', onMenuMoveTo)
+    .on('filemanager:menu:copyToPane', onMenuCopyToPane)
+    .on('filemanager:menu:moveToPane', onMenuMoveToPane)
     .on('filemanager:menu:rename', onMenuRename)
     .on('filemanager:menu:delete', onMenuDelete)
+    .on('filemanager:menu:deletePermanently', onMenuDeletePermanently)
+    .on('filemanager:menu:properties', onMenuProperties)
+    .on('filemanager:menu:newFile', onMenuNewFile)
+    .on('filemanager:menu:openNewFiles', onMenuOpenNewFiles)
+    .on('filemanager:rename:start', onRenameStart)
+    .on('filemanager:rename:pending', onRenamePending)
+    .on('filemanager:rename:commit', onRenameCommit)
+    .on('filemanager:dragstart', onDragStart)
+    .on('filemanager:dropTo', onDropTo)
+    .on('filemanager:menu:compress', onMenuCompress)
+    .on('filemanager:menu:extract', onMenuExtract)
+    .on('filemanager:menu:extractTo', onMenuExtractTo)
     .on('filemanager:menu:download', onMenuDownload)
     .render(($content, win) => (wired = render($content, win)));
 };
@@ -934,7 +5346,7 @@ const createProcess = (core, args, options, metadata) => {
     args,
     metadata,
     options: Object.assign({}, options, {
-      settings: createDefaultSettings()
+      settings: createDefaultSettings(core)
     })
   });
 
@@ -947,25 +5359,43 @@ const createProcess = (core, args, options, metadata) => {
   };
 
   const onSetting = (key, value) => {
-    onSettingsUpdate({[key]: value});
+    onSettingsUpdate(typeof key === 'object' ? key : {[key]: value});
 
     proc.saveSettings()
       .then(() => emitter('osjs:filemanager:remote', proc.settings))
       .catch(error => console.warn(error));
   };
 
+  // Updates settings without refreshing the views
+  const onSettingSilent = (key, value) => {
+    proc.settings = Object.assign({}, proc.settings, {[key]: value});
+
+    proc.saveSettings()
+      .then(() => emitter('osjs:filemanager:sync', {[key]: value}))
+      .catch(error => console.warn(error));
+  };
+
+  const onSync = (settings) => {
+    proc.settings = Object.assign({}, proc.settings, settings);
+  };
+
   proc.on('osjs:filemanager:remote', onSettingsUpdate);
+  proc.on('osjs:filemanager:sync', onSync);
   proc.on('filemanager:setting', onSetting);
+  proc.on('filemanager:setting:silent', onSettingSilent);
 
   const listener = (args) => {
     if (args.pid === proc.pid) {
       return;
     }
 
-    const currentPath = String(proc.args.path.path).replace(/\/$/, '');
     const watchPath = String(args.path).replace(/\/$/, '');
-    if (currentPath === watchPath) {
-      win.emit('filemanager:refresh');
+    const watching = [proc.args.path, proc.settings.dualPane ? proc.args.panePath : undefined]
+      .filter(dir => !!dir)
+      .map(dir => String(dir.path).replace(/\/$/, ''));
+
+    if (watching.indexOf(watchPath) !== -1) {
+      win.emit('filemanager:refresh', true);
     }
   };
 
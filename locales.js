@@ -3,26 +3,183 @@ export const en_EN = {
   LBL_MINIMALISTIC: 'Minimalistic',
   LBL_OPEN_WITH: 'Open with...',
   LBL_SHOW_DATE: 'Show date column',
+  LBL_VIEW_LIST: 'List',
+  LBL_VIEW_ICONS: 'Icons',
+  LBL_VIEW_COMPACT_ICONS: 'Compact icons',
+  LBL_SORT_BY: 'Sort by',
+  LBL_SORT_FOLDERS_FIRST: 'Folders first',
+  LBL_SORT_NATURAL: 'Natural sorting',
   LBL_DIR_AND_FILE_STATUS: '{0}, {1}, {2} bytes total',
   LBL_DIR_OR_FILE_STATUS: '{0}, {1} bytes total',
+  LBL_FILTERED_STATUS: '{0} of {1} items, {2}',
+  LBL_FILTER: 'Filter',
+  LBL_LOCATION: 'Location',
+  LBL_SEARCH: 'Search',
+  LBL_SEARCH_NAME: 'Name or pattern',
+  LBL_SEARCH_MIN_SIZE: 'Min size',
+  LBL_SEARCH_MAX_SIZE: 'Max size',
+  LBL_SEARCH_AFTER: 'Modified after',
+  LBL_SEARCH_BEFORE: 'Modified before',
+  LBL_SEARCHING: 'Searching {0} ({1} found)',
+  LBL_SEARCH_DONE: 'Found {0} item(s) in {1} entries',
+  LBL_SEARCH_LIMITED: 'Found {0} item(s), stopped after {1} entries',
+  LBL_SEARCH_CANCELLED: 'Search cancelled',
+  LBL_NEW_TAB: 'New tab',
+  LBL_CLOSE_TAB: 'Close tab',
+  LBL_OPEN_IN_NEW_TAB: 'Open in new tab',
+  LBL_DUAL_PANE: 'Dual pane',
+  LBL_COPY_TO_PANE: 'Copy to other pane',
+  LBL_MOVE_TO_PANE: 'Move to other pane',
+  LBL_FAVORITES: 'Favorites',
+  LBL_MOUNTPOINTS: 'Mountpoints',
+  LBL_ADD_FAVORITE: 'Add to favorites',
+  LBL_REMOVE_FAVORITE: 'Remove from favorites',
+  LBL_MOVE_UP: 'Move up',
+  LBL_MOVE_DOWN: 'Move down',
+  LBL_RECENT: 'Recent',
+  LBL_NO_RECENT: 'No recent items',
+  LBL_RECENT_STATUS: '{0} recent item(s)',
+  LBL_SELECT_ALL: 'Select all',
+  LBL_PARENT_DIRECTORY: 'Parent directory',
+  LBL_FOCUS_PATH: 'Edit location',
+  LBL_UNDO: 'Undo',
+  LBL_REDO: 'Redo',
+  LBL_TRASH: 'Trash',
+  LBL_TRASH_STATUS: '{0} item(s) in trash',
+  LBL_RESTORE: 'Restore',
+  LBL_DELETE_PERMANENTLY: 'Delete permanently',
+  LBL_EMPTY_TRASH: 'Empty trash',
+  LBL_CONFLICT_TITLE: 'File already exists',
+  LBL_CONFLICT_SOURCE: 'New',
+  LBL_CONFLICT_TARGET: 'Existing',
+  LBL_APPLY_TO_ALL: 'Apply to all remaining conflicts ({0})',
+  LBL_REPLACE: 'Replace',
+  LBL_SKIP: 'Skip',
+  LBL_KEEP_BOTH: 'Keep both',
+  LBL_COMPARE: 'Compare',
+  LBL_COPY_OF: 'Copy of {0}',
+  LBL_TRANSFERS_ACTIVE: '{0} of {1} transfer(s) remaining',
+  LBL_TRANSFERS_SUMMARY: '{0} completed, {1} failed, {2} cancelled',
+  LBL_TRANSFERS_CLEAR: 'Clear finished',
+  LBL_TRANSFER_TYPE_UPLOAD: 'Upload',
+  LBL_TRANSFER_TYPE_COPY: 'Copy',
+  LBL_TRANSFER_TYPE_MOVE: 'Move',
+  LBL_TRANSFER_TYPE_DELETE: 'Delete',
+  LBL_TRANSFER_TYPE_COMPRESS: 'Compress',
+  LBL_TRANSFER_TYPE_EXTRACT: 'Extract',
+  LBL_TRANSFER_TYPE_DOWNLOAD: 'Download',
+  LBL_TRANSFER_QUEUED: 'Queued',
+  LBL_TRANSFER_RUNNING: 'In progress...',
+  LBL_TRANSFER_PAUSED: 'Paused',
+  LBL_TRANSFER_DONE: 'Done',
+  LBL_TRANSFER_CANCELLED: 'Cancelled',
+  LBL_TRANSFER_ETA: '{0} left',
+  LBL_TRANSFER_PAUSE: 'Pause',
+  LBL_TRANSFER_RESUME: 'Resume',
+  LBL_TRANSFER_RETRY: 'Retry',
+  LBL_UPLOAD_FOLDER: 'Upload folder',
+  LBL_PROPERTIES: 'Properties',
+  LBL_PROPERTIES_OF: 'Properties of {0}',
+  LBL_PROPERTIES_COUNT: '{0} file(s), {1} folder(s)',
+  LBL_PROPERTIES_LIMITED: 'stopped early, limit reached',
+  LBL_PROPERTY_MODE: 'Mode',
+  LBL_PROPERTY_UID: 'User ID',
+  LBL_PROPERTY_GID: 'Group ID',
+  LBL_PROPERTY_OWNER: 'Owner',
+  LBL_PROPERTY_GROUP: 'Group',
+  LBL_PROPERTY_PERMISSIONS: 'Permissions',
+  LBL_PATH: 'Path',
+  LBL_MOUNTPOINT: 'Mountpoint',
+  LBL_CREATED: 'Created',
+  LBL_MODIFIED: 'Modified',
+  LBL_ACCESSED: 'Accessed',
+  LBL_SELECTED: 'Selected',
+  LBL_BYTES: '{0} bytes',
+  LBL_FOLDER_SIZE: 'Folder size',
+  LBL_CALCULATE_SIZE: 'Calculate size',
+  LBL_SHOW_PREVIEW: 'Show preview',
+  LBL_SHOW_THUMBNAILS: 'Show thumbnails on this mountpoint',
+  LBL_BATCH_RENAME: 'Rename {0} items',
+  LBL_BATCH_RENAME_FIND: 'Find',
+  LBL_BATCH_RENAME_REPLACE: 'Replace with',
+  LBL_BATCH_RENAME_REGEX: 'Regular expression',
+  LBL_BATCH_RENAME_PREFIX: 'Prefix',
+  LBL_BATCH_RENAME_SUFFIX: 'Suffix',
+  LBL_BATCH_RENAME_EXTENSION: 'New extension',
+  LBL_BATCH_RENAME_CASE_NONE: 'Keep case',
+  LBL_BATCH_RENAME_CASE_LOWER: 'lowercase',
+  LBL_BATCH_RENAME_CASE_UPPER: 'UPPERCASE',
+  LBL_BATCH_RENAME_CASE_TITLE: 'Title Case',
+  LBL_BATCH_RENAME_NUMBERING: 'Numbering',
+  LBL_BATCH_RENAME_START: 'Start at',
+  LBL_BATCH_RENAME_PADDING: 'Digits',
+  LBL_BATCH_RENAME_STATUS: '{0} of {1} will be renamed',
+  LBL_BATCH_RENAME_INVALID: 'Invalid name',
+  LBL_BATCH_RENAME_COLLISION: 'Duplicate name',
+  LBL_BATCH_RENAME_EXISTS: 'Already exists',
+  LBL_ARCHIVE: 'Archive',
+  LBL_COMPRESS: 'Compress...',
+  LBL_EXTRACT_HERE: 'Extract here',
+  LBL_EXTRACT_TO: 'Extract to...',
+  LBL_NEW: 'New',
+  LBL_NEW_EMPTY_FILE: 'Empty file',
+  LBL_NEW_FILE_NAME: 'New file',
+  LBL_NEW_FOLDER: 'Folder',
+  LBL_OPEN_NEW_FILES: 'Open after creating',
+  LBL_TEMPLATE_MARKDOWN: 'Markdown note',
+  LBL_TEMPLATE_JSON: 'JSON',
+  LBL_TEMPLATE_HTML: 'HTML',
+  LBL_DUPLICATE: 'Duplicate',
+  LBL_COPY_TO: 'Copy to...',
+  LBL_MOVE_TO: 'Move to...',
+  LBL_COPY_HERE: 'Copy here',
+  LBL_MOVE_HERE: 'Move here',
+  LBL_SELECT_FOLDER: 'Select folder',
+  LBL_RECENT_DESTINATIONS: 'Recent destinations',
+  LBL_THUMBNAIL_MAX_SIZE: 'Thumbnails of files up to',
+  LBL_PREVIEW_NONE: 'No preview available',
+  LBL_PREVIEW_MULTIPLE: '{0} items selected',
+  LBL_PREVIEW_LOADING: 'Loading preview...',
+  LBL_PREVIEW_TOO_LARGE: 'File is too large to preview',
   SINGLE_DIR: 'directory',
   MULTI_DIR: 'directories',
   SINGLE_FILE: 'file',
   MULTI_FILE: 'files',
   LBL_DATE: 'Date', // FIXME: Move to client
   LBL_LOADING: 'Loading {0}',
-  DIALOG_MKDIR_MESSAGE: 'Create new directory',
   DIALOG_MKDIR_PLACEHOLDER: 'New directory',
   DIALOG_RENAME_MESSAGE: 'Rename {0}?',
   DIALOG_DELETE_MESSAGE: 'Delete {0} file(s)?',
-  DIALOG_PROGRESS_MESSAGE: 'Uploading {0}...',
+  DIALOG_TRASH_MESSAGE: 'Move {0} file(s) to the trash?',
+  DIALOG_EMPTY_TRASH_MESSAGE: 'Permanently delete all items in the trash?',
+  DIALOG_CONFLICT_MESSAGE: '"{0}" already exists in {1}',
+  DIALOG_COMPRESS_MESSAGE: 'Compress {0} item(s) into',
   MSG_ERROR: 'An error occurred',
   MSG_UPLOAD_ERROR: 'Failed to upload file(s)',
   MSG_READDIR_ERROR: 'An error occurred while reading directory: {0}',
   MSG_PASTE_ERROR: 'Failed to paste file(s)',
   MSG_MKDIR_ERROR: 'Failed to create directory',
   MSG_RENAME_ERROR: 'Failed to rename',
-  MSG_DELETE_ERROR: 'Failed to delete'
+  MSG_DELETE_ERROR: 'Failed to delete',
+  MSG_UNDO_ERROR: 'Failed to undo',
+  MSG_REDO_ERROR: 'Failed to redo',
+  MSG_JOURNAL_MISSING: '{0} no longer exists',
+  MSG_JOURNAL_MODIFIED: '{0} has been modified since',
+  MSG_JOURNAL_EXISTS: '{0} already exists',
+  MSG_JOURNAL_NOT_EMPTY: '{0} is no longer empty',
+  MSG_RESTORE_ERROR: 'Failed to restore',
+  MSG_TRASH_NO_INFO: 'Could not find the original location of {0}',
+  MSG_ARCHIVE_TOO_LARGE: 'The selection exceeds the maximum archive size of {0}',
+  MSG_ARCHIVE_EXTRACT_TOO_LARGE: 'The archive exceeds the maximum extracted size of {0}',
+  MSG_ARCHIVE_UNSAFE: 'The archive contains an unsafe path: {0}',
+  MSG_EXTRACT_ERROR: 'Failed to extract archive',
+  MSG_RENAME_EMPTY: 'The name cannot be empty',
+  MSG_RENAME_INVALID: 'The name is not valid',
+  MSG_RENAME_EXISTS: '{0} already exists',
+  MSG_CREATE_ERROR: 'Failed to create file',
+  MSG_FOLDER_PICKER_ERROR: 'Could not read {0}',
+  MSG_TRANSFER_INTO_ITSELF: 'Cannot copy or move {0} into itself',
+  MSG_RECENT_MISSING: '{0} no longer exists'
 };
 
 export const sv_SE = {
@@ -38,7 +195,6 @@ export const sv_SE = {
   MULTI_FILE: 'filer',
   LBL_DATE: 'Datum', // FIXME: Move to client
   LBL_LOADING: 'Laddar {0}',
-  DIALOG_MKDIR_MESSAGE: 'Skapa ny katalog',
   DIALOG_MKDIR_PLACEHOLDER: 'Ny katalog',
   DIALOG_RENAME_MESSAGE: 'Döp om {0}?',
   DIALOG_DELETE_MESSAGE: 'Radera {0} fil(er)?',
@@ -64,7 +220,6 @@ export const nb_NO = {
   MULTI_FILE: 'filer',
   LBL_DATE: 'Dato',
   LBL_LOADING: 'Laster {0}',
-  DIALOG_MKDIR_MESSAGE: 'Lag ny mappe',
   DIALOG_MKDIR_PLACEHOLDER: 'Ny mappe',
   DIALOG_RENAME_MESSAGE: 'Omdøpe {0}?',
   DIALOG_DELETE_MESSAGE: 'Slette {0} fil(er)?',
@@ -90,7 +245,6 @@ export const vi_VN = {
   MULTI_FILE: 'các tập tin',
   LBL_DATE: 'Thời gian',
   LBL_LOADING: 'Đang tải {0}',
-  DIALOG_MKDIR_MESSAGE: 'Tạo thư mục mới',
   DIALOG_MKDIR_PLACEHOLDER: 'Thư mục mới',
   DIALOG_RENAME_MESSAGE: 'Đổi tên {0}?',
   DIALOG_DELETE_MESSAGE: 'Xoá {0} (các) tập tin?',
@@ -116,7 +270,6 @@ export const pt_BR = {
   MULTI_FILE: 'arquivos',
   LBL_DATE: 'Data', // FIXME: Move to client
   LBL_LOADING: 'Carregando {0}',
-  DIALOG_MKDIR_MESSAGE: 'Criar novo diretório',
   DIALOG_MKDIR_PLACEHOLDER: 'Novo diretório',
   DIALOG_RENAME_MESSAGE: 'Renomear {0}?',
   DIALOG_DELETE_MESSAGE: 'Deletar {0} arquivo(s)?',
@@ -142,7 +295,6 @@ export const fr_FR = {
   MULTI_FILE: 'des dossiers',
   LBL_DATE: 'Date', // FIXME: Move to client
   LBL_LOADING: 'Chargement en cours {0}',
-  DIALOG_MKDIR_MESSAGE: 'Créer nouveau dossier',
   DIALOG_MKDIR_PLACEHOLDER: 'Nouveau dossier',
   DIALOG_RENAME_MESSAGE: 'Renommer {0}?',
   DIALOG_DELETE_MESSAGE: 'Supprimer {0} (des) dossiers?',
@@ -168,7 +320,6 @@ export const tr_TR = {
   MULTI_FILE: 'dosyalar',
   LBL_DATE: 'Tarih', // FIXME: Move to client
   LBL_LOADING: 'Yükleniyor {0}',
-  DIALOG_MKDIR_MESSAGE: 'Yeni dizin oluştur',
   DIALOG_MKDIR_PLACEHOLDER: 'Yeni dizin',
   DIALOG_RENAME_MESSAGE: '{0} ismi değişsin mi?',
   DIALOG_DELETE_MESSAGE: '{0} dosya(lar) silinsin mi?',